@@ -1,4 +1,4 @@
-import { loadShadersFromURLS, setupWebGL, buildProgramFromSources } from './libs/utils.js';
+import { loadShadersFromURLS, loadJSONFile, setupWebGL, buildProgramFromSources } from './libs/utils.js';
 import {
     vec2,
     vec3,
@@ -6,8 +6,11 @@ import {
     flatten,
     lookAt,
     perspective,
+    ortho,
+    inverse,
     mult,
     rotate,
+    rotateY,
     translate,
     scalem,
     normalMatrix,
@@ -15,6 +18,7 @@ import {
     add,
     subtract,
     cross,
+    dot,
     scale,
     length,
 } from './libs/MV.js';
@@ -25,14 +29,41 @@ import * as CUBE from './libs/objects/cube.js';
 import * as BUNNY from './libs/objects/bunny.js';
 import * as TORUS from './libs/objects/torus.js';
 import * as CYLINDER from './libs/objects/cylinder.js';
+import * as OBJ from './libs/objects/obj.js';
+import * as COW from './libs/objects/cow.js';
+import * as MESH from './libs/objects/mesh.js';
 
+import * as SG from './libs/scenegraph.js';
+import * as SCENE_FILE from './libs/scenefile.js';
+import * as GIZMO from './libs/gizmo.js';
+import * as LIGHT_HELPERS from './libs/lighthelpers.js';
+import * as QUAT from './libs/quaternion.js';
+import * as CAMERA_PATH from './libs/camerapath.js';
+import * as PROGRAM from './libs/program.js';
+import * as UNIFORM_BLOCK from './libs/uniformblock.js';
+import * as FRUSTUM from './libs/frustum.js';
 
-const MAX_LIGHTS = 8; // how many lights we support
 
+const MAX_LIGHTS = 8; // how many lights we support (injected in the shaders)
+
+// Shader programs are wrappers with cached uniform setters (see libs/program.js)
 let gl;
 let program;        // current shader
 let programPhong;   // Phong shading (per-fragment)
 let programGouraud; // Gouraud shading (per-vertex)
+let programBlinnPhong; // Blinn-Phong shading (per-fragment, half-vector specular)
+let programPBR;     // metallic/roughness Cook-Torrance (per-fragment)
+let programShadow;  // depth-only pass for shadow maps
+let programFlat;    // single color: picking IDs and selection highlight
+let programFootprint; // spotlight cone outlines over the scene objects
+
+// Uniform buffers shared by the programs (see libs/uniformblock.js), with a
+// section per viewport: the lights are in the camera coordinates of each
+const BLOCK_BINDINGS = { Camera: 0, Lights: 1 };
+let cameraBlock = null;     // u_projectionMatrix
+let lightsBlock = null;     // u_n_lights and the u_light_* arrays
+let lightsVersion = 0;      // bumped by invalidateLights
+const packedLights = [];    // per section: lightsVersion of the data written into it
 
 // Matrices
 let mView;
@@ -40,8 +71,8 @@ let mProjection;
 let mModelView;
 let mNormal;
 
-// Scene objects array
-const sceneObjects = [];
+// Scene graph (see libs/scenegraph.js): nodes with an object are drawn
+let sceneRoot = null;
 
 // ------------------------------------------------------------
 // Camera (world coordinates)
@@ -52,45 +83,125 @@ const camera = {
     at: vec3(0, 1, 0),  // point we look at
     up: vec3(0, 1, 0),  // up direction
 
-    fovy: 45,   // field of view (degrees)
-    near: 0.1,  // near clipping plane
-    far: 40     // far clipping plane
+    projection: 'Perspective',  // or 'Orthographic'
+    fovy: 45,       // field of view (degrees), perspective
+    orthoSize: 6,   // half height of the view volume, orthographic
+    near: 0.1,      // near clipping plane
+    far: 40         // far clipping plane
 };
 
 // Save initial camera to allow reset
 const initialCamera = {
     eye: vec3(camera.eye[0], camera.eye[1], camera.eye[2]),
     at: vec3(camera.at[0],  camera.at[1],  camera.at[2]),
-    up: vec3(camera.up[0],  camera.up[1],  camera.up[2])
+    up: vec3(camera.up[0],  camera.up[1],  camera.up[2]),
+    fovy: camera.fovy
+};
+
+// Named views, recalled with the number keys 1-9 (see CAMERA BOOKMARKS)
+const MAX_BOOKMARKS = 9;
+const BOOKMARK_TRANSITION_TIME = 1.0;   // seconds
+const cameraBookmarks = [
+    { name: 'Front', eye: vec3(0, 7, 13), at: vec3(0, 1, 0), up: vec3(0, 1, 0), fovy: 45 },
+    { name: 'Above', eye: vec3(0, 14, 3), at: vec3(0, 1, 0), up: vec3(0, 1, 0), fovy: 45 },
+    { name: 'Close-up', eye: vec3(3.5, 3, 4), at: vec3(0, 1, 0), up: vec3(0, 1, 0), fovy: 35 }
+];
+let cameraTransition = null;    // { from, to, time } while flying to a bookmark
+let bookmarksFolder = null;
+let bookmarkFolders = [];
+
+// Recorded fly-through, played back over a fixed duration (see CAMERA PATH)
+const CAMERA_PATH_RECORD_INTERVAL = 0.5;    // seconds between recorded keyframes
+const cameraPath = {
+    keys: [],           // { eye, at, up, fovy }, evenly spaced in time
+    duration: 10,       // seconds from the first keyframe to the last one
+    loop: false,
+    time: 0,            // playback position (seconds)
+    playing: false,
+    recording: false
 };
+let cameraPathStart = null;     // timestamp of time 0 while playing
+let cameraPathRecordTime = 0;   // seconds since the last recorded keyframe
+let cameraPathFolder = null;
+let cameraPathTimeController = null;
+let cameraPathKeyFolders = [];
 
 // Input state
 const keyState = {};
 let lastFrameTime = 0;
 let isMouseDown = false;
+let isPanning = false;      // middle/right button drag
 let lastMouseX = 0;
 let lastMouseY = 0;
 
+// Touch input (see TOUCH CONTROLS)
+const touchPointers = new Map();    // touch pointers on the canvas: pointerId -> { x, y }
+let touchTap = null;                // { x, y } where a single finger went down, while it may still be a tap
+const joystick = { forward: 0, right: 0 };  // virtual joystick, -1..1 like the WASD keys
+
 const moveSpeed = 2.0; // movement speed units per second
 
+// Camera modes (see CAMERA CONTROL):
+//   "Orbit"        : turntable around "at", W/S zoom
+//   "Fly"          : free flight, the mouse turns the view
+//   "First person" : walk on the ground, mouse look with pointer lock
+// None of them rolls the camera: "up" stays vertical.
+const CAMERA_MODES = ['Orbit', 'Fly', 'First person'];
+const cameraControl = {
+    mode: 'Orbit',
+    damping: 8      // how fast the camera stops after the input ends (1/s)
+};
+
+const MOUSE_ROTATE_SPEED = 0.3;     // degrees per pixel
+const KEY_ROTATE_SPEED = 60;        // degrees per second (orbit with A/D, Space/Shift)
+const KEY_ZOOM_SPEED = 1.0;         // orbit distance doubles/halves in about 0.7 s
+const WHEEL_ZOOM_SPEED = 0.001;     // log of the distance per wheel pixel (a notch is ~10%)
+const PITCH_LIMIT = 89;             // degrees, keeps the view away from the poles
+const CAMERA_MIN_DISTANCE = 0.5;    // orbit distance limits
+const CAMERA_MAX_DISTANCE = 35;
+const CAMERA_MIN_HEIGHT = 0.3;      // fly/walk above the table
+
+// Camera velocities, slowed down by the damping every frame
+const cameraMotion = {
+    yaw: 0,                     // degrees per second (around the world Y axis)
+    pitch: 0,                   // degrees per second
+    zoom: 0,                    // log of the orbit distance per second
+    velocity: vec3(0, 0, 0)     // world units per second
+};
+
 // ------------------------------------------------------------
 // Materials (0–255 range because of dat.gui color picker)
+// PBR uses Kd as base color plus metallic and roughness; the roughness
+// gives about the same highlight as the shininess:
+// roughness = sqrt(sqrt(2 / (shininess + 2)))
 // ------------------------------------------------------------
 const baseMaterials = {
-    platform: { Ka: [120,  80,  50], Kd: [139,  90,  43], Ks: [ 80,  80,  80], shininess: 30  },
-    bunny:    { Ka: [200, 150, 200], Kd: [220, 180, 220], Ks: [255, 255, 255], shininess: 100 },
-    cube:     { Ka: [255,  50,  50], Kd: [255,  50,  50], Ks: [255, 255, 255], shininess: 50  },
-    torus:    { Ka: [ 50, 255,  50], Kd: [ 50, 255,  50], Ks: [255, 255, 255], shininess: 100 },
-    cylinder: { Ka: [ 50, 150, 255], Kd: [ 50, 150, 255], Ks: [200, 200, 200], shininess: 80  }
+    platform: { Ka: [120,  80,  50], Kd: [139,  90,  43], Ks: [ 80,  80,  80], shininess: 30,  metallic: 0, roughness: 0.5  },
+    bunny:    { Ka: [200, 150, 200], Kd: [220, 180, 220], Ks: [255, 255, 255], shininess: 100, metallic: 0, roughness: 0.38 },
+    cube:     { Ka: [255,  50,  50], Kd: [255,  50,  50], Ks: [255, 255, 255], shininess: 50,  metallic: 0, roughness: 0.44 },
+    torus:    { Ka: [ 50, 255,  50], Kd: [ 50, 255,  50], Ks: [255, 255, 255], shininess: 100, metallic: 0, roughness: 0.38 },
+    cylinder: { Ka: [ 50, 150, 255], Kd: [ 50, 150, 255], Ks: [200, 200, 200], shininess: 80,  metallic: 0, roughness: 0.4  },
+    // used by OBJ groups without a material of their own
+    table:    { Ka: [150, 150, 150], Kd: [200, 200, 200], Ks: [200, 200, 200], shininess: 60,  metallic: 0, roughness: 0.42 },
+    lamp:     { Ka: [ 40,  40,  45], Kd: [ 60,  60,  70], Ks: [255, 255, 255], shininess: 120, metallic: 1, roughness: 0.36 },
+    // modulated by the color of each copy (see INSTANCES)
+    instances: { Ka: [200, 200, 200], Kd: [230, 230, 230], Ks: [255, 255, 255], shininess: 60, metallic: 0, roughness: 0.42 }
 };
 
+// Optional material textures (material.diffuseMap / material.specularMap),
+// on texture units of their own (unit 0 holds the shadow maps)
+const DIFFUSE_MAP_UNIT = 1;
+const SPECULAR_MAP_UNIT = 2;
+
 // ------------------------------------------------------------
 // Lights array
 // ------------------------------------------------------------
 const lights = [];
 
-// Default spotlight aperture used when a light is switched to Spotlight.
+// Default spotlight cones (full angles, degrees) used when a light is switched to Spotlight.
+// The light fades out between the inner and the outer (aperture) cone.
 const defaultSpotAperture = 22.0;
+const defaultSpotInnerAperture = 16.0;
 
 // Common target at the center of the objects on the table.
 const sceneTarget = vec3(0, 1, 0);
@@ -102,7 +213,11 @@ lights[0] = {
     position: vec4(0, 10, 0, 1),            
     axis: normalize(subtract(sceneTarget, vec3(0, 10, 0))),
     aperture: defaultSpotAperture,
+    innerAperture: defaultSpotInnerAperture,
     cutoff: 15.0,
+    attenuation: [1, 0, 0], // constant, linear, quadratic
+    castShadows: true,
+    shadowBias: 0.002,
     ambient: [80, 80, 80],
     diffuse: [120, 120, 120],
     specular: [200, 200, 200]
@@ -115,7 +230,11 @@ lights[1] = {
     position: vec4(4, 10, 4, 1),          
     axis: normalize(subtract(sceneTarget, vec3(4, 10, 4))),
     aperture: defaultSpotAperture,
+    innerAperture: defaultSpotInnerAperture,
     cutoff: 15.0,
+    attenuation: [1, 0, 0], // constant, linear, quadratic
+    castShadows: true,
+    shadowBias: 0.002,
     ambient: [80, 80, 80],
     diffuse: [120, 120, 120],
     specular: [200, 200, 200]
@@ -128,48 +247,190 @@ lights[2] = {
     position: vec4(-4, 10, 4, 1),          
     axis: normalize(subtract(sceneTarget, vec3(-4, 10, 4))),
     aperture: defaultSpotAperture,
+    innerAperture: defaultSpotInnerAperture,
     cutoff: 15.0,
+    attenuation: [1, 0, 0], // constant, linear, quadratic
+    castShadows: true,
+    shadowBias: 0.002,
     ambient: [80, 80, 80],
     diffuse: [120, 120, 120],
     specular: [200, 200, 200]
 };
 
+/**
+ * Create a new point light with the default intensities, used by "Add light".
+ */
+function createDefaultLight() {
+    const position = vec3(0, 10, 4);
+    return {
+        enabled: true,
+        type: 0,
+        position: vec4(position[0], position[1], position[2], 1),
+        axis: normalize(subtract(sceneTarget, position)),
+        aperture: defaultSpotAperture,
+        innerAperture: defaultSpotInnerAperture,
+        cutoff: 15.0,
+        attenuation: [1, 0, 0],
+        castShadows: true,
+        shadowBias: 0.002,
+        ambient: [80, 80, 80],
+        diffuse: [120, 120, 120],
+        specular: [200, 200, 200]
+    };
+}
+
+// ------------------------------------------------------------
+// Shadow maps
+// ------------------------------------------------------------
+const SHADOW_MAP_SIZE = 512;    // resolution of each shadow map layer
+const SHADOW_MAP_UNIT = 0;      // texture unit of the shadow map array
+const SHADOW_NEAR = 0.1;        // near plane of point/spot shadow cameras
+const SHADOW_FAR = 30;          // far plane of point/spot shadow cameras
+const SHADOW_SCENE_RADIUS = 8;  // area around sceneTarget covered by directional shadows
+
+let shadowMaps = null;          // { texture, framebuffer }
+const shadowMatrices = [];      // per light: main camera eye coordinates -> shadow map (see renderShadowMaps)
+
 // Rendering options
 const options = {
     backfaceCulling: true,
     depthTest: true,
     // "Camera": sliders represent eye-space coordinates (lights move with camera)
     // "World" : sliders represent world-space coordinates (lights fixed in scene)
-    lightCoords: 'Camera'
+    lightCoords: 'Camera',
+    shading: 'Phong',   // 'Phong', 'Gouraud' (per-vertex), 'Blinn-Phong' or 'PBR'
+    lightHelpers: true, // draw the light sources (see drawLightHelpers)
+    frustumCulling: true,   // skip the objects outside the view (see FRUSTUM CULLING)
+    stats: true         // drawn/culled counts and frame times over the canvas
 };
 
+// Counts of the last frame, over all its viewports (see FRUSTUM CULLING)
+const renderStats = { drawn: 0, culled: 0, triangles: 0 };
+
+// Frame times, averaged over FRAME_TIME_WINDOW for the stats overlay: the
+// interval between frames and the time spent in drawFrame (CPU side, the
+// GPU works asynchronously)
+const FRAME_TIME_WINDOW = 0.5;  // seconds
+const frameTimes = { frames: 0, elapsed: 0, cpu: 0, frameMs: 0, cpuMs: 0 };
+let statsElement = null;
+
 let gui;
+let lightsFolder;
+let sceneFolder;
 let lightFolders = [];
 
-// Spotlight circle data (for visualizing spotlight footprint)
-let spotlightCircle = null;
-let spotlightCircleBuffer = null;
-let spotlightCircleVAO = null;
+
+// ------------------------------------------------------------
+// Picking (see PICKING)
+// ------------------------------------------------------------
+const CLICK_TOLERANCE = 4;                      // pixels the mouse may move in a click
+const HIGHLIGHT_COLOR = [1.0, 0.8, 0.2, 0.35];  // tint of the selected object (RGBA)
+
+let pickBuffer = null;          // { framebuffer, color, depth, width, height }
+let selectedNode = null;        // scene graph node selected with the mouse
+const nodeFolders = new Map();  // scene graph node -> its GUI folder
+const materialFolders = new Map();  // scene graph node -> the "material" folder inside it
+let mouseDownX = 0;
+let mouseDownY = 0;
+
+// ------------------------------------------------------------
+// Manipulator gizmo (see GIZMO)
+// ------------------------------------------------------------
+const GIZMO_SCREEN_SIZE = 0.15;     // fraction of the view height
+const GIZMO_PICK_RADIUS = 4;        // pixels around the mouse that hit a handle
+
+let gizmo = null;                   // handles, see libs/gizmo.js
+let gizmoDrag = null;               // drag in progress
+let selectedLight = null;           // light edited with the gizmo
+const gizmoOptions = { mode: 'Translate' };
+
+let lightHelpers = null;            // helper meshes, see libs/lighthelpers.js
+
+// ------------------------------------------------------------
+// Viewports (see VIEWPORTS)
+// ------------------------------------------------------------
+const LAYOUTS = ['Single', 'Four views'];
+const viewOptions = { layout: 'Single' };
+
+const ORTHO_VIEW_DISTANCE = 20;     // from "at" to the eye of the fixed views
+const ORTHO_MIN_SIZE = 0.25;        // orthoSize limits when zooming
+const ORTHO_MAX_SIZE = 30;
+const VIEWPORT_GAP = 2;             // pixels between the viewports of a layout
+
+/**
+ * Camera of a fixed orthographic view, looking at sceneTarget from the
+ * given direction. Independent of the main camera: the wheel and drags in
+ * its viewport zoom and pan it.
+ */
+function createOrthoView(name, direction, up) {
+    const at = vec3(sceneTarget[0], sceneTarget[1], sceneTarget[2]);
+    return {
+        name,
+        eye: add(at, scale(ORTHO_VIEW_DISTANCE, direction)),
+        at,
+        up,
+        projection: 'Orthographic',
+        orthoSize: 6,
+        near: 0.1,
+        far: 2 * ORTHO_VIEW_DISTANCE
+    };
+}
+
+const orthoViews = [
+    createOrthoView('Top', vec3(0, 1, 0), vec3(0, 0, -1)),
+    createOrthoView('Front', vec3(0, 0, 1), vec3(0, 1, 0)),
+    createOrthoView('Side', vec3(1, 0, 0), vec3(0, 1, 0))
+];
+
+let activeViewport = null;      // viewport whose matrices are in mView and mProjection
+let viewFromMainCamera = null;  // main camera eye -> active viewport eye (null when it is the main camera)
+let inputViewport = null;       // viewport where the current pointer drag started
+let viewportLabels = [];        // name of each ortho view over its viewport (see updateViewportLabels)
+
+// ------------------------------------------------------------
+// Frame capture (see FRAME CAPTURE)
+// ------------------------------------------------------------
+const VIDEO_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+const captureOptions = {
+    supersampling: 1,   // screenshot size, in multiples of the canvas size
+    fps: 30,            // video frame rate
+    bitrate: 8,         // video bit rate (Mbit/s)
+    recording: false
+};
+let mediaRecorder = null;       // while recording a video
+
+// ------------------------------------------------------------
+// Instancing demo (see INSTANCES)
+// ------------------------------------------------------------
+const INSTANCE_SHAPES = ['Cube', 'Torus', 'Cylinder', 'Bunny', 'Cow'];
+const INSTANCE_AREA = 4.5;      // half size of the scattered area (the platform is 10 x 10)
+const MAX_INSTANCES = 20000;
+
+const instanceOptions = {
+    shape: 'Cube',
+    count: 1000,
+    size: 0.25      // average size of the copies
+};
+const instanceMeshes = {};      // shape -> mesh, created on first use
+let instancesNode = null;       // scene graph node of the scattered copies
 
 /* ============================================================
    CAMERA HELPERS
    ============================================================ */
 
-// Called whenever camera parameters (eye/at/up) change
+// Called whenever camera parameters (eye/at/up) change. The lights, in
+// camera coordinates, are written again when the frame is drawn.
 function onCameraChanged() {
     updateView();
-
-    // If lights are in camera space, update them as well
-    if (options.lightCoords === 'Camera') {
-        uploadLights();
-    }
+    invalidateLights();
 }
 
 /* ============================================================
    SETUP
    ============================================================ */
 
-function setup(shaders) {
+function setup(shaders, model) {
     const canvas = document.getElementById('gl-canvas');
 
     canvas.width = window.innerWidth;
@@ -181,77 +442,131 @@ function setup(shaders) {
         return;
     }
 
-    // Build shader programs
-    programPhong = buildProgramFromSources(gl, shaders['phong.vert'],   shaders['phong.frag']);
-    programGouraud = buildProgramFromSources(gl, shaders['gouraud.vert'], shaders['gouraud.frag']);
-
-    if (!programPhong || !programGouraud) {
+    // Build shader programs (light arrays are sized by MAX_LIGHTS)
+    const defines = { MAX_LIGHTS };
+    const build = (vs, fs, programDefines) => {
+        const p = buildProgramFromSources(gl, shaders[vs], shaders[fs], null, programDefines);
+        return p && PROGRAM.createProgramInfo(gl, p, BLOCK_BINDINGS);
+    };
+    programPhong = build('phong.vert', 'phong.frag', defines);
+    programGouraud = build('gouraud.vert', 'gouraud.frag', defines);
+    programBlinnPhong = build('phong.vert', 'phong.frag', { ...defines, BLINN_PHONG: 1 });
+    programPBR = build('phong.vert', 'phong.frag', { ...defines, PBR: 1 });
+    programShadow = build('shadow.vert', 'shadow.frag');
+    programFlat = build('flat.vert', 'flat.frag');
+    programFootprint = build('footprint.vert', 'footprint.frag', defines);
+
+    if (!programPhong || !programGouraud || !programBlinnPhong || !programPBR || !programShadow || !programFlat ||
+        !programFootprint) {
         console.error('Failed to create shader programs');
         return;
     }
 
+    // Phong declares both blocks; their std140 layout is the same everywhere
+    const viewportCount = 1 + orthoViews.length;
+    cameraBlock = UNIFORM_BLOCK.createUniformBlock(gl, programPhong.program, 'Camera', BLOCK_BINDINGS.Camera, viewportCount);
+    lightsBlock = UNIFORM_BLOCK.createUniformBlock(gl, programPhong.program, 'Lights', BLOCK_BINDINGS.Lights, viewportCount);
+
+    // The shadow maps always stay on their texture unit
+    for (const p of [programPhong, programGouraud, programBlinnPhong, programPBR, programFootprint]) {
+        gl.useProgram(p.program);
+        p.set('u_shadowMaps', SHADOW_MAP_UNIT);
+    }
+
     // Start with Phong shading
     program = programPhong;
-    gl.useProgram(program);
+    gl.useProgram(program.program);
 
     gl.clearColor(0.0, 0.0, 0.0, 1.0);
     gl.enable(gl.DEPTH_TEST);
     gl.enable(gl.CULL_FACE);
     gl.viewport(0, 0, canvas.width, canvas.height);
 
-    // Initialize geometry
-    CUBE.init(gl);
-    BUNNY.init(gl);
-    TORUS.init(gl);
-    CYLINDER.init(gl);
+    // Initialize geometry (each object gets its own mesh instance)
+    const cube = CUBE.createCube(gl);
+    const bunny = BUNNY.createBunny(gl);
+    const torus = TORUS.createTorus(gl);
+    const cylinder = CYLINDER.createCylinder(gl);
+    const table = createTable(model);
+
+    // Manipulator handles
+    gizmo = GIZMO.createGizmo(gl);
+    lightHelpers = LIGHT_HELPERS.createLightHelpers(gl);
 
-    // Spotlight circle geometry (unit circle on XZ plane)
-    initSpotlightCircle(gl);
+    // Depth textures for the shadow pass
+    initShadowMaps(gl);
 
     // -----------------------------------------------------
-    // Build scene objects 
+    // Build scene graph
     // -----------------------------------------------------
+    sceneRoot = SG.createNode('Scene');
 
     // Platform: 10 x 0.5 x 10 (top surface at y = 0)
-    sceneObjects.push({
-        name: 'Platform',
-        object: CUBE,
-        transform: mult(translate(0, -0.25, 0), scalem(10, 0.5, 10)),
+    SG.addChild(sceneRoot, SG.createNode('Platform', {
+        object: cube,
+        translation: [0, -0.25, 0],
+        scale: [10, 0.5, 10],
         material: { ...baseMaterials.platform }
-    });
+    }));
 
     // CUBE → back-left (x -, z -)
-    sceneObjects.push({
-        name: 'Cube',
-        object: CUBE,
-        transform: mult(translate(-2.5, 1, -2.5), scalem(2, 2, 2)),
+    SG.addChild(sceneRoot, SG.createNode('Cube', {
+        object: cube,
+        translation: [-2.5, 1, -2.5],
+        scale: [2, 2, 2],
         material: { ...baseMaterials.cube }
-    });
+    }));
 
     // TORUS → front-left (x -, z +)
-    sceneObjects.push({
-        name: 'Torus',
-        object: TORUS,
-        transform: mult(translate(-2.5, 0.4,  2.5), scalem(2, 2, 2)),
+    SG.addChild(sceneRoot, SG.createNode('Torus', {
+        object: torus,
+        translation: [-2.5, 0.4, 2.5],
+        scale: [2, 2, 2],
         material: { ...baseMaterials.torus }
-    });
+    }));
 
     // CYLINDER → back-right (x +, z -)
-    sceneObjects.push({
-        name: 'Cylinder',
-        object: CYLINDER,
-        transform: mult(translate(2.5, 1, -2.5), scalem(2, 2, 2)),
+    SG.addChild(sceneRoot, SG.createNode('Cylinder', {
+        object: cylinder,
+        translation: [2.5, 1, -2.5],
+        scale: [2, 2, 2],
         material: { ...baseMaterials.cylinder }
-    });
+    }));
 
     // BUNNY → front-right (x +, z +)
-    sceneObjects.push({
-        name: 'Bunny',
-        object: BUNNY,
-        transform: mult(translate(2.5, 1,  2.5), scalem(2, 2, 2)),
+    SG.addChild(sceneRoot, SG.createNode('Bunny', {
+        object: bunny,
+        translation: [2.5, 1, 2.5],
+        scale: [2, 2, 2],
         material: { ...baseMaterials.bunny }
+    }));
+
+    // TABLE (OBJ model) → center, 1 unit high
+    if (table) {
+        SG.addChild(sceneRoot, SG.createNode('Table', {
+            object: table,
+            translation: [0, 0.5, 0],
+            material: { ...baseMaterials.table },
+            materials: table.materials // per group, from the MTL file
+        }));
+    }
+
+    // DESK LAMP → back-center, its spotlight aimed at the table
+    const lamp = buildDeskLamp(cube, cylinder);
+    SG.addChild(sceneRoot, lamp.root);
+    lights.push({
+        ...createDefaultLight(),
+        type: 2,
+        node: lamp.bulb,
+        attenuation: [1, 0.1, 0.05],
+        ambient: [0, 0, 0],
+        diffuse: [200, 180, 120],
+        specular: [200, 180, 120]
     });
 
+    statsElement = document.getElementById('stats');
+    viewportLabels = orthoViews.map(createViewportLabel);
+
     // GUI, camera matrices, input handlers
     setupGUI();
     updateProjection();
@@ -259,16 +574,101 @@ function setup(shaders) {
     initInputHandlers(canvas);
 
     // Handle window resize
-    window.addEventListener('resize', () => {
-        canvas.width = window.innerWidth;
-        canvas.height = window.innerHeight;
-        gl.viewport(0, 0, canvas.width, canvas.height);
-        updateProjection();
-    });
+    window.addEventListener('resize', () => resizeCanvas(window.innerWidth, window.innerHeight));
 
     render();
 }
 
+function resizeCanvas(width, height) {
+    gl.canvas.width = width;
+    gl.canvas.height = height;
+    gl.viewport(0, 0, width, height);
+    updateProjection();
+}
+
+/**
+ * Mesh of the table model, with its textures loading, or null when the
+ * model could not be loaded or parsed (the scene is set up without it).
+ */
+function createTable(model) {
+    if (!model) return null;
+
+    try {
+        const table = OBJ.createOBJ(gl, model.obj, model.mtl);
+        loadModelTextures(table.materials, model.baseUrl);
+        return table;
+    } catch (err) {
+        console.error(`Invalid model ${modelUrl}, the table is left out:`, err);
+        return null;
+    }
+}
+
+/**
+ * Articulated desk lamp: base, lower arm, upper arm and head joints, each
+ * with a "shape" child so that scaling the geometry does not affect the
+ * joints below it. The bulb node (no geometry) carries the spotlight.
+ * @returns {Object} { root, bulb }
+ */
+function buildDeskLamp(cube, cylinder) {
+    const material = () => ({ ...baseMaterials.lamp });
+
+    const root = SG.createNode('Desk lamp', { translation: [0, 0, -3.5] });
+    SG.addChild(root, SG.createNode('Base', {
+        object: cylinder,
+        translation: [0, 0.05, 0],
+        scale: [0.8, 0.1, 0.8],
+        material: material()
+    }));
+
+    const lowerArm = SG.addChild(root, SG.createNode('Lower arm', {
+        translation: [0, 0.1, 0],
+        rotation: [15, 0, 0]
+    }));
+    SG.addChild(lowerArm, SG.createNode('Lower arm shape', {
+        object: cube,
+        translation: [0, 1.1, 0],
+        scale: [0.08, 2.2, 0.08],
+        material: material()
+    }));
+
+    const upperArm = SG.addChild(lowerArm, SG.createNode('Upper arm', {
+        translation: [0, 2.2, 0],
+        rotation: [75, 0, 0]
+    }));
+    SG.addChild(upperArm, SG.createNode('Upper arm shape', {
+        object: cube,
+        translation: [0, 0.8, 0],
+        scale: [0.08, 1.6, 0.08],
+        material: material()
+    }));
+
+    // The head points down its local -Y axis
+    const head = SG.addChild(upperArm, SG.createNode('Head', {
+        translation: [0, 1.6, 0],
+        rotation: [-135, 0, 0]
+    }));
+    SG.addChild(head, SG.createNode('Shade', {
+        object: cylinder,
+        scale: [0.4, 0.3, 0.4],
+        material: material()
+    }));
+    const bulb = SG.addChild(head, SG.createNode('Bulb', { translation: [0, -0.2, 0] }));
+
+    return { root, bulb };
+}
+
+/**
+ * Nodes of the scene graph with an object to draw
+ * (their world matrices are updated once per frame, in render).
+ */
+function getSceneObjects() {
+    const result = [];
+    SG.traverse(sceneRoot, (node) => {
+        if (node.object) result.push(node);
+    });
+    return result;
+}
+
 /* ============================================================
    GUI
    ============================================================ */
@@ -289,11 +689,21 @@ function setupGUI() {
     });
     optionsFolder.add(options, 'lightCoords', ['Camera', 'World'])
         .name('light space')
-        .onChange(() => uploadLights());
+        .onChange(invalidateLights);
+    optionsFolder.add(options, 'lightHelpers').name('light helpers');
+    optionsFolder.add(options, 'frustumCulling').name('frustum culling');
+    optionsFolder.add(options, 'stats').onChange(updateStatsOverlay);
+    optionsFolder.add(gizmoOptions, 'mode', ['Translate', 'Rotate', 'Scale']).name('gizmo');
 
     // ----- Camera -----
     const cameraFolder = gui.addFolder('camera');
+    cameraFolder.add(cameraControl, 'mode', CAMERA_MODES).onChange(setCameraMode);
+    cameraFolder.add(cameraControl, 'damping', 1, 30);
+    cameraFolder.add({ zoomToFit }, 'zoomToFit').name('zoom to fit (F)');
+    cameraFolder.add(viewOptions, 'layout', LAYOUTS).onChange(updateProjection);
+    cameraFolder.add(camera, 'projection', ['Perspective', 'Orthographic']).onChange(updateProjection);
     cameraFolder.add(camera, 'fovy', 10, 100).onChange(updateProjection);
+    cameraFolder.add(camera, 'orthoSize', ORTHO_MIN_SIZE, ORTHO_MAX_SIZE).name('ortho size').onChange(updateProjection);
     cameraFolder.add(camera, 'near', 0.01, 100).onChange(updateProjection);
     cameraFolder.add(camera, 'far',  5, 100).onChange(updateProjection);
 
@@ -312,96 +722,260 @@ function setupGUI() {
     upFolder.add(camera.up, '1', -1, 1).name('y').onChange(onCameraChanged);
     upFolder.add(camera.up, '2', -1, 1).name('z').onChange(onCameraChanged);
 
+    bookmarksFolder = cameraFolder.addFolder('bookmarks');
+    bookmarksFolder.add({ addCameraBookmark }, 'addCameraBookmark').name('Add bookmark');
+    rebuildBookmarkFolders();
+
+    cameraPathFolder = cameraFolder.addFolder('path');
+    cameraPathFolder.add(cameraPath, 'recording').name('record').onChange(setCameraPathRecording);
+    cameraPathFolder.add({ addCameraPathKey }, 'addCameraPathKey').name('add keyframe (K)');
+    cameraPathFolder.add({ toggleCameraPath }, 'toggleCameraPath').name('play / stop (P)');
+    cameraPathTimeController = cameraPathFolder.add(cameraPath, 'time', 0, cameraPath.duration)
+        .listen().onChange(scrubCameraPath);
+    cameraPathFolder.add(cameraPath, 'duration', 1, 120).onChange(onCameraPathDurationChanged);
+    cameraPathFolder.add(cameraPath, 'loop');
+    cameraPathFolder.add({ clearCameraPath }, 'clearCameraPath').name('clear');
+    rebuildCameraPathFolders();
+
     // ----- Lights -----
-    const lightsFolder = gui.addFolder('lights');
-    lightFolders = [];
+    lightsFolder = gui.addFolder('lights');
+    lightsFolder.add({ addLight }, 'addLight').name('Add light');
+    lightsFolder.add({ removeLight }, 'removeLight').name('Remove light');
+    rebuildLightFolders();
+
+    // ----- Scene graph -----
+    sceneFolder = gui.addFolder('scene');
+    sceneRoot.children.forEach((node) => addNodeFolder(sceneFolder, node));
+
+    const instancesFolder = gui.addFolder('instances');
+    instancesFolder.add(instanceOptions, 'shape', INSTANCE_SHAPES);
+    instancesFolder.add(instanceOptions, 'count', 1, MAX_INSTANCES).step(1);
+    instancesFolder.add(instanceOptions, 'size', 0.05, 1);
+    instancesFolder.add({ scatterInstances }, 'scatterInstances').name('scatter');
+    instancesFolder.add({ clearInstances }, 'clearInstances').name('clear');
 
-    for (let i = 0; i < lights.length; i++) {
-        const light = lights[i];
-        const lightFolder = lightsFolder.addFolder(`Light${i + 1}`);
+    // ----- Shading mode -----
+    const shadingFolder = gui.addFolder('shading');
+    shadingFolder.add(options, 'shading', ['Phong', 'Gouraud', 'Blinn-Phong', 'PBR'])
+        .name('mode')
+        .onChange(applyShadingMode);
+
+    // ----- Scene file -----
+    const fileFolder = gui.addFolder('scene file');
+    fileFolder.add({ save: downloadScene }, 'save').name('save scene');
+    fileFolder.add({ load: pickSceneFile }, 'load').name('load scene');
+
+    // ----- Frame capture -----
+    const captureFolder = gui.addFolder('capture');
+    captureFolder.add({ takeScreenshot }, 'takeScreenshot').name('screenshot (C)');
+    captureFolder.add(captureOptions, 'supersampling', [1, 2, 3, 4]).onChange((v) => {
+        captureOptions.supersampling = Number(v);
+    });
+    captureFolder.add(captureOptions, 'recording').name('record video (V)').onChange(setVideoRecording);
+    captureFolder.add(captureOptions, 'fps', 10, 60).step(1).name('video fps');
+    captureFolder.add(captureOptions, 'bitrate', 1, 40).name('video Mbit/s');
 
-        lightFolder.add(light, 'enabled').onChange(uploadLights);
+    gui.add({ close: () => gui.close() }, 'close').name('Close Controls');
+}
 
-        lightFolder
-            .add(light, 'type', { Point: 0, Directional: 1, Spotlight: 2 })
-            .name('type')
-            .onChange(() => {
-                if (light.type === 1) light.position[3] = 0;
-                else light.position[3] = 1;
-                uploadLights();
-            });
+/**
+ * Select the shader program for options.shading.
+ */
+function applyShadingMode() {
+    const programs = {
+        'Phong': programPhong,
+        'Gouraud': programGouraud,
+        'Blinn-Phong': programBlinnPhong,
+        'PBR': programPBR
+    };
+    program = programs[options.shading] || programPhong;
+}
+
+/**
+ * Add the GUI folder of a scene graph node (transform, material) to parent,
+ * followed by the folders of its children.
+ */
+function addNodeFolder(parent, node) {
+    // dat.gui needs unique folder names among siblings
+    const namesakes = node.parent ? node.parent.children.filter((child) => child.name === node.name) : [node];
+    const k = namesakes.indexOf(node);
+    const folder = parent.addFolder(k > 0 ? `${node.name} (${k + 1})` : node.name);
+    nodeFolders.set(node, folder);
+
+    const translationFolder = folder.addFolder('translation');
+    // Lights attached to the node or below it follow its transform
+    translationFolder.add(node.translation, '0', -10, 10).step(0.01).name('x').onChange(invalidateLights);
+    translationFolder.add(node.translation, '1', -10, 10).step(0.01).name('y').onChange(invalidateLights);
+    translationFolder.add(node.translation, '2', -10, 10).step(0.01).name('z').onChange(invalidateLights);
+
+    const rotationFolder = folder.addFolder('rotation');
+    rotationFolder.add(node.rotation, '0', -180, 180).name('x').onChange(invalidateLights);
+    rotationFolder.add(node.rotation, '1', -180, 180).name('y').onChange(invalidateLights);
+    rotationFolder.add(node.rotation, '2', -180, 180).name('z').onChange(invalidateLights);
+
+    const scaleFolder = folder.addFolder('scale');
+    scaleFolder.add(node.scale, '0', 0.01, 10).name('x').onChange(invalidateLights);
+    scaleFolder.add(node.scale, '1', 0.01, 10).name('y').onChange(invalidateLights);
+    scaleFolder.add(node.scale, '2', 0.01, 10).name('z').onChange(invalidateLights);
+
+    if (node.material) {
+        const materialFolder = folder.addFolder('material');
+        materialFolders.set(node, materialFolder);
+        addMaterialControls(materialFolder, node.material);
+    }
+
+    // Materials loaded with the model (MTL)
+    if (node.materials) {
+        for (const name in node.materials) {
+            addMaterialControls(folder.addFolder(name), node.materials[name]);
+        }
+    }
+
+    node.children.forEach((child) => addNodeFolder(folder, child));
+}
+
+/**
+ * Add the controls of one material to a GUI folder.
+ */
+function addMaterialControls(folder, material) {
+    folder.addColor(material, 'Ka').name('Ka');
+    folder.addColor(material, 'Kd').name('Kd');
+    folder.addColor(material, 'Ks').name('Ks');
+    folder.add(material, 'shininess', 1, 200).name('shininess');
+    folder.add(material, 'metallic', 0, 1).name('metallic (PBR)');
+    folder.add(material, 'roughness', 0.04, 1).name('roughness (PBR)');
+
+    const textureActions = {
+        diffuseMap: () => pickMaterialTexture(material, 'diffuseMap'),
+        specularMap: () => pickMaterialTexture(material, 'specularMap'),
+        clear: () => clearMaterialTextures(material)
+    };
+    folder.add(textureActions, 'diffuseMap').name('load diffuse map');
+    folder.add(textureActions, 'specularMap').name('load specular map');
+    folder.add(textureActions, 'clear').name('remove textures');
+}
 
+/**
+ * Add the GUI folder controlling lights[i].
+ */
+function addLightFolder(i) {
+    const light = lights[i];
+    const lightFolder = lightsFolder.addFolder(`Light${i + 1}`);
+
+    lightFolder.add(light, 'enabled').onChange(invalidateLights);
+    lightFolder.add({ select: () => selectLight(light) }, 'select').name('edit with gizmo');
+
+    lightFolder
+        .add(light, 'type', { Point: 0, Directional: 1, Spotlight: 2 })
+        .name('type')
+        .onChange(() => {
+            // dat.gui hands back the option value as a string
+            light.type = Number(light.type);
+            if (light.type === 1) light.position[3] = 0;
+            else light.position[3] = 1;
+            invalidateLights();
+        });
+
+    // Lights attached to a scene node are placed by the node transform
+    if (!light.node) {
         const positionFolder = lightFolder.addFolder('position');
-        positionFolder.add(light.position, '0', -20, 20).name('x').onChange(uploadLights);
-        positionFolder.add(light.position, '1', -20, 20).name('y').onChange(uploadLights);
-        positionFolder.add(light.position, '2', -20, 20).name('z').onChange(uploadLights);
+        positionFolder.add(light.position, '0', -20, 20).name('x').onChange(invalidateLights);
+        positionFolder.add(light.position, '1', -20, 20).name('y').onChange(invalidateLights);
+        positionFolder.add(light.position, '2', -20, 20).name('z').onChange(invalidateLights);
+    }
 
-        const intensitiesFolder = lightFolder.addFolder('intensities');
-        intensitiesFolder.addColor(light, 'ambient').onChange(uploadLights);
-        intensitiesFolder.addColor(light, 'diffuse').onChange(uploadLights);
-        intensitiesFolder.addColor(light, 'specular').onChange(uploadLights);
+    const intensitiesFolder = lightFolder.addFolder('intensities');
+    intensitiesFolder.addColor(light, 'ambient').onChange(invalidateLights);
+    intensitiesFolder.addColor(light, 'diffuse').onChange(invalidateLights);
+    intensitiesFolder.addColor(light, 'specular').onChange(invalidateLights);
 
+    if (!light.node) {
         const axisFolder = lightFolder.addFolder('axis');
         axisFolder.add(light.axis, '0', -1, 1).name('x').onChange(() => {
             light.axis = normalize(light.axis);
-            uploadLights();
+            invalidateLights();
         });
         axisFolder.add(light.axis, '1', -1, 1).name('y').onChange(() => {
             light.axis = normalize(light.axis);
-            uploadLights();
+            invalidateLights();
         });
         axisFolder.add(light.axis, '2', -1, 1).name('z').onChange(() => {
             light.axis = normalize(light.axis);
-            uploadLights();
+            invalidateLights();
         });
+    }
+
+    lightFolder.add(light, 'aperture', 0, 180).onChange(invalidateLights);
+    lightFolder.add(light, 'innerAperture', 0, 180).name('inner aperture').onChange(invalidateLights);
+    lightFolder.add(light, 'cutoff', 0, 50).onChange(invalidateLights);
+
+    // 1 / (constant + linear * d + quadratic * d^2), not used by directional lights
+    const attenuationFolder = lightFolder.addFolder('attenuation');
+    attenuationFolder.add(light.attenuation, '0', 0, 2).step(0.01).name('constant').onChange(invalidateLights);
+    attenuationFolder.add(light.attenuation, '1', 0, 1).step(0.001).name('linear').onChange(invalidateLights);
+    attenuationFolder.add(light.attenuation, '2', 0, 1).step(0.001).name('quadratic').onChange(invalidateLights);
 
-        lightFolder.add(light, 'aperture', 0, 180).onChange(uploadLights);
-        lightFolder.add(light, 'cutoff', 0, 50).onChange(uploadLights);
+    lightFolder.add(light, 'castShadows').name('cast shadows').onChange(invalidateLights);
+    lightFolder.add(light, 'shadowBias', 0, 0.02).step(0.0005).name('shadow bias').onChange(invalidateLights);
 
-        lightFolders.push(lightFolder);
+    lightFolders.push(lightFolder);
+}
+
+/**
+ * Recreate one folder per entry in lights (after lights were added/removed).
+ */
+function rebuildLightFolders() {
+    lightFolders.forEach((folder) => lightsFolder.removeFolder(folder));
+    lightFolders = [];
+
+    for (let i = 0; i < lights.length; i++) {
+        addLightFolder(i);
     }
+}
 
-    // ----- Object materials -----
-    const objectsFolder = gui.addFolder('materials');
-    sceneObjects.forEach((obj, idx) => {
-        const f = objectsFolder.addFolder(obj.name || `Object ${idx + 1}`);
-        f.addColor(obj.material, 'Ka').name('Ka');
-        f.addColor(obj.material, 'Kd').name('Kd');
-        f.addColor(obj.material, 'Ks').name('Ks');
-        f.add(obj.material, 'shininess', 1, 200).name('shininess');
-    });
+/**
+ * Append a new light, up to MAX_LIGHTS.
+ */
+function addLight() {
+    if (lights.length >= MAX_LIGHTS) {
+        console.warn(`At most ${MAX_LIGHTS} lights are supported`);
+        return;
+    }
 
-    // ----- Shading mode -----
-    const shadingFolder = gui.addFolder('shading');
-    const shadingParams = { mode: 'Phong' };
+    lights.push(createDefaultLight());
+    rebuildLightFolders();
+    lightFolders[lightFolders.length - 1].open();
+    invalidateLights();
+}
 
-    shadingFolder.add(shadingParams, 'mode', ['Phong', 'Gouraud'])
-        .name('mode')
-        .onChange((val) => {
-            program = (val === 'Phong') ? programPhong : programGouraud;
-        });
+/**
+ * Remove the last light, lights attached to a scene node excepted.
+ */
+function removeLight() {
+    const i = lights.findLastIndex((light) => !light.node);
+    if (i < 0) {
+        console.warn('Lights attached to scene nodes cannot be removed');
+        return;
+    }
 
-    gui.add({ close: () => gui.close() }, 'close').name('Close Controls');
+    lights.splice(i, 1);
+    rebuildLightFolders();
+    invalidateLights();
 }
 
 /* ============================================================
    MATRICES
    ============================================================ */
 
-// Update projection matrix (uses fovy, near, far)
+// Update projection matrix (uses projection, fovy or orthoSize, near, far)
 function updateProjection() {
-    const canvas = document.getElementById('gl-canvas');
-    const aspect = canvas.width / canvas.height;
-
     if (camera.near < 0.01) camera.near = 0.01;
     if (camera.near >= camera.far - 0.01) {
         camera.near = camera.far - 0.01;
     }
 
-    mProjection = perspective(camera.fovy, aspect, camera.near, camera.far);
-
-    const loc = gl.getUniformLocation(program, 'u_projectionMatrix');
-    if (loc) gl.uniformMatrix4fv(loc, false, flatten(mProjection));
+    const main = getMainViewport();
+    mProjection = projectionMatrix(camera, main.width / main.height);
 }
 
 // Update view matrix 
@@ -410,215 +984,1066 @@ function updateView() {
     mView = lookAt(camera.eye, camera.at, up);
 }
 
-// Upload current projection 
-function uploadProjection() {
-    const loc = gl.getUniformLocation(program, 'u_projectionMatrix');
-    if (loc) gl.uniformMatrix4fv(loc, false, flatten(mProjection));
-}
-
-// Upload model-view and normal matrices for one object
+// Upload model-view and normal matrices for one object (view from mView)
 function uploadModelView(modelMatrix) {
-    const up = normalize(camera.up);
-    mView = lookAt(camera.eye, camera.at, up);
-
     mModelView = mult(mView, modelMatrix);
     mNormal = normalMatrix(mModelView, true);
 
-    const locMV = gl.getUniformLocation(program, 'u_modelViewMatrix');
-    const locN = gl.getUniformLocation(program, 'u_normalMatrix');
-
-    if (locMV) gl.uniformMatrix4fv(locMV, false, flatten(mModelView));
-    if (locN) gl.uniformMatrix3fv(locN, false, flatten(mNormal));
+    program.set('u_modelViewMatrix', mModelView);
+    program.set('u_normalMatrix', mNormal);
 }
 
 /* ============================================================
-   CAMERA CONTROL
+   VIEWPORTS
    ============================================================ */
 
+function projectionMatrix(cam, aspect) {
+    if (cam.projection === 'Orthographic') {
+        const h = cam.orthoSize;
+        return ortho(-h * aspect, h * aspect, -h, h, cam.near, cam.far);
+    }
+    return perspective(cam.fovy, aspect, cam.near, cam.far);
+}
+
 /**
- * Rotate camera around "at" using mouse movement.
+ * Viewports of the current layout, in canvas pixels from the top left corner:
+ * [{ camera, x, y, width, height }]. The main camera is always the last one.
  */
-function rotateCameraWithMouse(dx, dy) {
-    if (dx === 0 && dy === 0) return;
+function getViewports() {
+    const w = gl.canvas.width;
+    const h = gl.canvas.height;
+
+    // slot: section of the viewport in the uniform buffers
+    if (viewOptions.layout === 'Single') {
+        return [{ camera, slot: 0, x: 0, y: 0, width: w, height: h }];
+    }
 
-    // Movement vector on the screen
-    const d = vec2(dx, dy);
-    const ang = 0.5 * length(d); // rotation angle (degrees)
+    // Top | Front
+    // Side | main camera
+    const g = VIEWPORT_GAP / 2;
+    const hw = Math.floor(w / 2);
+    const hh = Math.floor(h / 2);
+    return [
+        { camera: orthoViews[0], slot: 1, x: 0, y: 0, width: hw - g, height: hh - g },
+        { camera: orthoViews[1], slot: 2, x: hw + g, y: 0, width: w - hw - g, height: hh - g },
+        { camera: orthoViews[2], slot: 3, x: 0, y: hh + g, width: hw - g, height: h - hh - g },
+        { camera, slot: 0, x: hw + g, y: hh + g, width: w - hw - g, height: h - hh - g }
+    ];
+}
 
-    // Axis in camera space: X = right, Y = up, Z = forward
-    const axisCam = vec3(-dy, -dx, 0);
+function getMainViewport() {
+    const viewports = getViewports();
+    return viewports[viewports.length - 1];
+}
 
-    // Build camera basis in world space
-    const upN = normalize(camera.up);
-    const forward = normalize(subtract(camera.at, camera.eye));
-    const right = normalize(cross(forward, upN));
-    const trueUp = cross(right, forward);
+// Viewport under the pointer (the main one in the gaps)
+function viewportAt(canvas, clientX, clientY) {
+    const rect = canvas.getBoundingClientRect();
+    const x = (clientX - rect.left) * canvas.width / rect.width;
+    const y = (clientY - rect.top) * canvas.height / rect.height;
 
-    // Convert axis from camera space → world space
-    let axisWorld = add(
-        add(scale(axisCam[0], right),
-        scale(axisCam[1], trueUp)),
-        scale(-axisCam[2], forward)
-    );
-    axisWorld = normalize(axisWorld);
+    const viewports = getViewports();
+    const inside = (vp) => x >= vp.x && x < vp.x + vp.width && y >= vp.y && y < vp.y + vp.height;
+    return viewports.find(inside) || viewports[viewports.length - 1];
+}
 
-    // Rotation matrix around that world-space axis
-    const R = rotate(ang, axisWorld);
+/**
+ * Make vp the active viewport: mView and mProjection become its matrices,
+ * and with draw set, the GL viewport and scissor its rectangle.
+ */
+function useViewport(vp, draw = false) {
+    const cam = vp.camera;
+
+    activeViewport = vp;
+    mView = lookAt(cam.eye, cam.at, normalize(cam.up));
+    mProjection = projectionMatrix(cam, vp.width / vp.height);
+
+    // Lights in camera coordinates belong to the main camera
+    viewFromMainCamera = cam === camera ? null
+        : mult(mView, inverse(lookAt(camera.eye, camera.at, normalize(camera.up))));
+
+    // Only uploaded when they changed since the last frame
+    cameraBlock.set(vp.slot, 'u_projectionMatrix', mProjection);
+    cameraBlock.bind(vp.slot);
+    lightsBlock.bind(vp.slot);
+
+    if (draw) {
+        const y = gl.canvas.height - vp.y - vp.height;
+        gl.viewport(vp.x, y, vp.width, vp.height);
+        gl.scissor(vp.x, y, vp.width, vp.height);
+    }
+}
 
-    // Vector from at to eye
-    let eyeAt = subtract(camera.eye, camera.at);
-    eyeAt = vec4(eyeAt[0], eyeAt[1], eyeAt[2], 0.0);
+// Active viewport in CSS pixels (for mouse coordinates)
+function getViewportRect(canvas) {
+    const rect = canvas.getBoundingClientRect();
+    const vp = activeViewport || getMainViewport();
+    const sx = rect.width / canvas.width;
+    const sy = rect.height / canvas.height;
+    return {
+        left: rect.left + vp.x * sx,
+        top: rect.top + vp.y * sy,
+        width: vp.width * sx,
+        height: vp.height * sy
+    };
+}
 
-    // Up vector
-    let up4 = vec4(camera.up[0], camera.up[1], camera.up[2], 0.0);
+// Label with the name of an ortho view, placed by updateViewportLabels
+function createViewportLabel(view) {
+    const label = document.createElement('div');
+    label.className = 'viewport-label';
+    label.textContent = view.name;
+    document.body.appendChild(label);
+    return label;
+}
 
-    // Apply rotation
-    eyeAt = mult(R, eyeAt);
-    up4 = mult(R, up4);
+/**
+ * Place the names of the ortho views at the top of their viewports
+ * (hidden when the layout does not show them).
+ */
+function updateViewportLabels() {
+    const canvas = gl.canvas;
+    const rect = canvas.getBoundingClientRect();
+    const sx = rect.width / canvas.width;
+    const sy = rect.height / canvas.height;
+    const viewports = getViewports();
+
+    orthoViews.forEach((view, i) => {
+        const label = viewportLabels[i];
+        const vp = viewports.find((v) => v.camera === view);
+
+        label.style.display = vp ? '' : 'none';
+        if (!vp) return;
+        label.style.left = `${rect.left + (vp.x + vp.width / 2) * sx}px`;
+        label.style.top = `${rect.top + vp.y * sy}px`;
+    });
+}
 
-    // Update camera.eye components
-    camera.eye[0] = camera.at[0] + eyeAt[0];
-    camera.eye[1] = camera.at[1] + eyeAt[1];
-    camera.eye[2] = camera.at[2] + eyeAt[2];
+/* ============================================================
+   CAMERA CONTROL
+   ============================================================ */
 
-    // Update camera.up components
-    camera.up[0] = up4[0];
-    camera.up[1] = up4[1];
-    camera.up[2] = up4[2];
+// Unit vector with the given yaw (around world Y, 0 = +Z) and pitch (degrees)
+function directionFromAngles(yaw, pitch) {
+    const y = yaw * Math.PI / 180.0;
+    const p = pitch * Math.PI / 180.0;
+    return vec3(Math.cos(p) * Math.sin(y), Math.sin(p), Math.cos(p) * Math.cos(y));
+}
 
-    onCameraChanged();
-    if (gui) gui.updateDisplay(); // refresh GUI sliders
+// Inverse of directionFromAngles (d does not need to be normalized)
+function anglesFromDirection(d) {
+    const n = normalize(vec3(d[0], d[1], d[2]));
+    return {
+        yaw: Math.atan2(n[0], n[2]) * 180 / Math.PI,
+        pitch: Math.asin(Math.max(-1, Math.min(1, n[1]))) * 180 / Math.PI
+    };
 }
 
 /**
- * Compute camera basis vectors in world space.
+ * Turn the camera with mouse movement: orbit around "at" in Orbit mode,
+ * look around otherwise. The rotation is handed over as a velocity that
+ * the damping consumes, so a drag still turns MOUSE_ROTATE_SPEED degrees
+ * per pixel in total, just spread over a few frames.
  */
-function computeCameraBasis() {
-    const upN = normalize(camera.up);
-    const f = normalize(subtract(camera.at, camera.eye)); 
-    const s = normalize(cross(f, upN));                   
-    const u = cross(s, f);                                
-    return { right: s, up: u, forward: f };
+function rotateCameraWithMouse(dx, dy) {
+    if (dx === 0 && dy === 0) return;
+    cancelCameraAnimations();
+
+    const k = cameraControl.damping;
+    const pitchSign = cameraControl.mode === 'Orbit' ? 1 : -1;
+
+    cameraMotion.yaw -= dx * MOUSE_ROTATE_SPEED * k;
+    cameraMotion.pitch += pitchSign * dy * MOUSE_ROTATE_SPEED * k;
 }
 
 /**
- * Reset camera to initial state.
+ * Switch camera mode: level the camera (no roll) and stop its motion.
  */
-function resetCamera() {
-    // Copy values back into camera vectors
-    for (let i = 0; i < 3; i++) {
-        camera.eye[i] = initialCamera.eye[i];
-        camera.at[i] = initialCamera.at[i];
-        camera.up[i] = initialCamera.up[i];
+function setCameraMode(mode) {
+    cameraControl.mode = mode;
+    cancelCameraAnimations();
+
+    camera.up[0] = 0;
+    camera.up[1] = 1;
+    camera.up[2] = 0;
+    stopCameraMotion();
+
+    if (mode !== 'First person' && document.pointerLockElement) {
+        document.exitPointerLock();
     }
 
     onCameraChanged();
     if (gui) gui.updateDisplay();
 }
 
+function clampCameraDistance(distance) {
+    return Math.max(CAMERA_MIN_DISTANCE, Math.min(CAMERA_MAX_DISTANCE, distance));
+}
+
 /**
- * Keyboard movement (WASD + Space + Shift).
- * Camera moves in the scene.
+ * Dolly the eye towards "at" (amount < 0) or away from it, damped like the
+ * rotations: the distance is multiplied by exp(amount) in total.
  */
-function updateCameraFromInput(dt) {
-    if (dt <= 0) return;
-
-    const forward = normalize(subtract(camera.at, camera.eye));
-    const worldUp = vec3(0, 1, 0);
-    const right = normalize(cross(forward, worldUp));
-
-    let move = vec3(0, 0, 0);
+function zoomCamera(amount) {
+    cancelCameraAnimations();
+    cameraMotion.zoom += amount * cameraControl.damping;
+}
 
-    if (keyState['KeyW']) move = add(move, forward);
-    if (keyState['KeyS']) move = subtract(move, forward);
-    if (keyState['KeyA']) move = subtract(move, right);
-    if (keyState['KeyD']) move = add(move, right);
-    if (keyState['Space']) move = add(move, worldUp);
-    if (keyState['ShiftLeft'] || keyState['ShiftRight'])
-        move = subtract(move, worldUp);
+// Zoom of the fixed orthographic views (immediate)
+function zoomOrthoView(view, amount) {
+    view.orthoSize = clampOrthoSize(view.orthoSize * Math.exp(amount));
+}
 
-    if (move[0] === 0 && move[1] === 0 && move[2] === 0) return;
+function clampOrthoSize(size) {
+    return Math.max(ORTHO_MIN_SIZE, Math.min(ORTHO_MAX_SIZE, size));
+}
 
-    move = normalize(move);
-    move = scale(moveSpeed * dt, move);
+/**
+ * Move eye and at together in the camera plane of the active viewport
+ * (the main camera or a fixed view), so that the point at "at" follows
+ * the mouse.
+ */
+function panCameraWithMouse(dx, dy) {
+    const canvas = document.getElementById('gl-canvas');
+    const cam = (activeViewport || getMainViewport()).camera;
+    if (cam === camera) cancelCameraAnimations();
 
-    // Update eye
-    camera.eye[0] += move[0];
-    camera.eye[1] += move[1];
-    camera.eye[2] += move[2];
+    const halfHeight = cam.projection === 'Orthographic' ? cam.orthoSize
+        : length(subtract(cam.eye, cam.at)) * Math.tan((cam.fovy / 2) * Math.PI / 180.0);
+    const unitsPerPixel = 2 * halfHeight / getViewportRect(canvas).height;
 
-    // Update at (to keep direction)
-    camera.at[0] += move[0];
-    camera.at[1] += move[1];
-    camera.at[2] += move[2];
+    const { right, up } = computeCameraBasis(cam);
+    const move = add(scale(-dx * unitsPerPixel, right), scale(dy * unitsPerPixel, up));
 
-    // Prevent camera from going too low
-    if (camera.eye[1] < 0.3) camera.eye[1] = 0.3;
+    for (let i = 0; i < 3; i++) {
+        cam.eye[i] += move[i];
+        cam.at[i] += move[i];
+    }
 
     onCameraChanged();
     if (gui) gui.updateDisplay();
 }
 
 /**
- * Set up keyboard and mouse events.
+ * World space bounding sphere of the objects below node (a scene node,
+ * the whole scene by default), from their world bounding boxes.
+ * @returns {Object} { center, radius } or null when there are no objects
  */
-function initInputHandlers(canvas) {
-    // Keyboard
-    window.addEventListener('keydown', (e) => {
-        keyState[e.code] = true;
+function computeWorldBounds(node = sceneRoot) {
+    SG.updateWorldMatrices(sceneRoot);
 
-        if (e.code === 'KeyR') {
-            resetCamera();
+    const min = vec3(Infinity, Infinity, Infinity);
+    const max = vec3(-Infinity, -Infinity, -Infinity);
+    SG.traverse(node, (n) => {
+        if (!n.worldBounds) return;
+
+        for (let i = 0; i < 3; i++) {
+            min[i] = Math.min(min[i], n.worldBounds.min[i]);
+            max[i] = Math.max(max[i], n.worldBounds.max[i]);
         }
     });
+    if (min[0] > max[0]) return null;
 
-    window.addEventListener('keyup', (e) => {
-        keyState[e.code] = false;
-    });
+    const center = scale(0.5, add(min, max));
+    return { center, radius: length(subtract(max, center)) };
+}
 
-    // Mouse drag to rotate camera (orbit)
-    canvas.addEventListener('mousedown', (e) => {
-        isMouseDown = true;
-        lastMouseX = e.clientX;
-        lastMouseY = e.clientY;
-    });
+/**
+ * Frame the selected object (or the whole scene) in every view: look at
+ * the center of its bounds from the current direction, close enough (or
+ * with an orthographic size large enough) to fill the view.
+ */
+function zoomToFit() {
+    const bounds = computeWorldBounds(selectedNode || sceneRoot);
+    if (!bounds) return;
 
-    window.addEventListener('mouseup', () => {
-        isMouseDown = false;
-    });
+    for (const vp of getViewports()) {
+        const cam = vp.camera;
+        const aspect = vp.width / vp.height;
 
-    window.addEventListener('mousemove', (e) => {
-        if (!isMouseDown) return;
+        let distance = cam === camera ? length(subtract(cam.eye, cam.at)) : ORTHO_VIEW_DISTANCE;
+        if (cam.projection === 'Orthographic') {
+            cam.orthoSize = clampOrthoSize(bounds.radius / Math.min(1, aspect));
+        } else {
+            const halfFovy = (cam.fovy / 2) * Math.PI / 180.0;
+            const halfFov = Math.min(halfFovy, Math.atan(Math.tan(halfFovy) * aspect));
+            distance = clampCameraDistance(bounds.radius / Math.sin(halfFov));
+        }
 
-        const dx = e.clientX - lastMouseX;
-        const dy = e.clientY - lastMouseY;
-        lastMouseX = e.clientX;
-        lastMouseY = e.clientY;
+        const { forward } = computeCameraBasis(cam);
+        const eye = subtract(bounds.center, scale(distance, forward));
+        for (let i = 0; i < 3; i++) {
+            cam.at[i] = bounds.center[i];
+            cam.eye[i] = eye[i];
+        }
+    }
+    stopCameraMotion();
 
-        rotateCameraWithMouse(dx, dy);
-    });
+    onCameraChanged();
+    if (gui) gui.updateDisplay();
 }
 
-/* ============================================================
-   LIGHTS
-   ============================================================ */
+function stopCameraMotion() {
+    cameraMotion.yaw = 0;
+    cameraMotion.pitch = 0;
+    cameraMotion.zoom = 0;
+    cameraMotion.velocity = vec3(0, 0, 0);
+}
 
 /**
- * Get light position & axis in CAMERA coordinates.
+ * Compute camera basis vectors in world space (of the main camera by default).
  */
-function getLightCameraSpace(light) {
-    const up = normalize(camera.up);
-    const view = lookAt(camera.eye, camera.at, up);
+function computeCameraBasis(cam = camera) {
+    const upN = normalize(cam.up);
+    const f = normalize(subtract(cam.at, cam.eye)); 
+    const s = normalize(cross(f, upN));                   
+    const u = cross(s, f);                                
+    return { right: s, up: u, forward: f };
+}
 
-    if (options.lightCoords === 'Camera') {
-        if (light.type === 2) {
-            // Spotlight in camera space: always from camera center forward
-            return {
-                posEye: vec4(0, 0, 0, 1),
-                axisEye: vec3(0, 0, -1)
-            };
-        } else {
-            // Point or directional: use slider-defined coordinates in eye space
+/**
+ * Reset camera to initial state.
+ */
+function resetCamera() {
+    flyToCameraView(initialCamera);
+}
+
+/**
+ * Keyboard input and damped motion of the camera, once per frame.
+ *   Orbit        : W/S zoom, A/D and Space/Shift orbit around "at"
+ *   Fly          : W/S along the view direction, A/D sideways, Space/Shift up/down
+ *   First person : like Fly, but W/S/A/D stay on the horizontal plane
+ */
+function updateCameraFromInput(dt) {
+    if (dt <= 0) return;
+
+    const k = cameraControl.damping;
+    const decay = Math.exp(-k * dt);
+    const key = (code) => (keyState[code] ? 1 : 0);
+
+    const clamp1 = (v) => Math.max(-1, Math.min(1, v));
+    const forwardKeys = clamp1(key('KeyW') - key('KeyS') + joystick.forward);
+    const rightKeys = clamp1(key('KeyD') - key('KeyA') + joystick.right);
+    const upKeys = key('Space') - (key('ShiftLeft') || key('ShiftRight'));
+
+    // Keys drive the velocities towards their target speed, the damping
+    // brings them back to zero once released
+    let targetVelocity = vec3(0, 0, 0);
+    if (cameraControl.mode === 'Orbit') {
+        if (forwardKeys) cameraMotion.zoom = -forwardKeys * KEY_ZOOM_SPEED;
+        if (rightKeys) cameraMotion.yaw = rightKeys * KEY_ROTATE_SPEED;
+        if (upKeys) cameraMotion.pitch = upKeys * KEY_ROTATE_SPEED;
+    } else {
+        const worldUp = vec3(0, 1, 0);
+        let forward = normalize(subtract(camera.at, camera.eye));
+        const right = normalize(cross(forward, worldUp));
+        if (cameraControl.mode === 'First person') {
+            forward = normalize(cross(worldUp, right));
+        }
+
+        let move = add(scale(forwardKeys, forward), scale(rightKeys, right));
+        move = add(move, scale(upKeys, worldUp));
+        // Partial joystick deflections move slower
+        const amount = Math.min(length(move), 1);
+        if (amount > 0) targetVelocity = scale(moveSpeed * amount, normalize(move));
+    }
+    cameraMotion.velocity = add(cameraMotion.velocity,
+                                scale(1 - decay, subtract(targetVelocity, cameraMotion.velocity)));
+
+    // Amounts covered during this frame by velocities decaying at rate k
+    const step = (v) => v * (1 - decay) / k;
+    const dYaw = step(cameraMotion.yaw);
+    const dPitch = step(cameraMotion.pitch);
+    const dZoom = step(cameraMotion.zoom);
+    cameraMotion.yaw *= decay;
+    cameraMotion.pitch *= decay;
+    cameraMotion.zoom *= decay;
+
+    const moving = Math.abs(dYaw) > 1e-4 || Math.abs(dPitch) > 1e-4 ||
+                   Math.abs(dZoom) > 1e-5 || length(cameraMotion.velocity) > 1e-4;
+    if (!moving) {
+        stopCameraMotion();
+        return;
+    }
+
+    // Dolly: eye towards/away from "at", in every mode
+    if (dZoom !== 0) {
+        const offset = subtract(camera.eye, camera.at);
+        const distance = clampCameraDistance(length(offset) * Math.exp(dZoom));
+        const eye = add(camera.at, scale(distance, normalize(offset)));
+        for (let i = 0; i < 3; i++) camera.eye[i] = eye[i];
+
+        // Moving closer makes no difference in orthographic views
+        if (camera.projection === 'Orthographic') {
+            camera.orthoSize = clampOrthoSize(camera.orthoSize * Math.exp(dZoom));
+        }
+    }
+
+    if (cameraControl.mode === 'Orbit') {
+        const offset = subtract(camera.eye, camera.at);
+        const angles = anglesFromDirection(offset);
+        const yaw = angles.yaw + dYaw;
+        const pitch = Math.max(-PITCH_LIMIT, Math.min(PITCH_LIMIT, angles.pitch + dPitch));
+
+        const eye = add(camera.at, scale(length(offset), directionFromAngles(yaw, pitch)));
+        for (let i = 0; i < 3; i++) camera.eye[i] = eye[i];
+    } else {
+        const view = subtract(camera.at, camera.eye);
+        const angles = anglesFromDirection(view);
+        const yaw = angles.yaw + dYaw;
+        const pitch = Math.max(-PITCH_LIMIT, Math.min(PITCH_LIMIT, angles.pitch + dPitch));
+
+        const move = scale(dt, cameraMotion.velocity);
+        for (let i = 0; i < 3; i++) camera.eye[i] += move[i];
+
+        // Prevent camera from going too low
+        if (camera.eye[1] < CAMERA_MIN_HEIGHT) camera.eye[1] = CAMERA_MIN_HEIGHT;
+
+        // Same distance to "at", so switching back to Orbit turns around a point ahead
+        const at = add(camera.eye, scale(length(view), directionFromAngles(yaw, pitch)));
+        for (let i = 0; i < 3; i++) camera.at[i] = at[i];
+    }
+
+    // No roll
+    camera.up[0] = 0;
+    camera.up[1] = 1;
+    camera.up[2] = 0;
+
+    onCameraChanged();
+    if (gui) gui.updateDisplay();
+}
+
+/* ============================================================
+   CAMERA BOOKMARKS
+   ============================================================ */
+
+// Copy of the main camera view: { eye, at, up, fovy }
+function captureCameraView() {
+    return {
+        eye: vec3(camera.eye[0], camera.eye[1], camera.eye[2]),
+        at: vec3(camera.at[0], camera.at[1], camera.at[2]),
+        up: vec3(camera.up[0], camera.up[1], camera.up[2]),
+        fovy: camera.fovy
+    };
+}
+
+/**
+ * Start a smooth transition of the main camera to view ({ eye, at, up, fovy }).
+ */
+function flyToCameraView(view) {
+    cameraPath.playing = false;
+
+    const from = captureCameraView();
+    const forward = (v) => subtract(v.at, v.eye);
+
+    cameraTransition = {
+        from,
+        to: view,
+        fromRotation: QUAT.lookRotation(forward(from), from.up),
+        toRotation: QUAT.lookRotation(forward(view), view.up),
+        time: 0
+    };
+    stopCameraMotion();
+}
+
+/**
+ * Advance the transition: eased position and distance to "at", slerped
+ * orientation and interpolated fovy.
+ */
+function updateCameraTransition(dt) {
+    const tr = cameraTransition;
+    tr.time += dt;
+
+    const t = Math.min(tr.time / BOOKMARK_TRANSITION_TIME, 1);
+    const s = t * t * (3 - 2 * t); // ease in and out
+    const mix = (a, b) => a + (b - a) * s;
+
+    // Land exactly on the bookmark
+    if (t >= 1) {
+        cameraTransition = null;
+        setCameraView(tr.to);
+        return;
+    }
+
+    const rotation = QUAT.quatSlerp(tr.fromRotation, tr.toRotation, s);
+    const forward = QUAT.quatRotate(rotation, vec3(0, 0, -1));
+    const distance = mix(length(subtract(tr.from.at, tr.from.eye)), length(subtract(tr.to.at, tr.to.eye)));
+    const eye = vec3(...tr.from.eye.map((v, i) => mix(v, tr.to.eye[i])));
+
+    setCameraView({
+        eye,
+        at: add(eye, scale(distance, forward)),
+        up: QUAT.quatRotate(rotation, vec3(0, 1, 0)),
+        fovy: mix(tr.from.fovy, tr.to.fovy)
+    });
+}
+
+/**
+ * Move the main camera to view ({ eye, at, up, fovy }). The camera vectors
+ * are updated in place: the GUI controllers hold them.
+ */
+function setCameraView(view) {
+    for (let i = 0; i < 3; i++) {
+        camera.eye[i] = view.eye[i];
+        camera.at[i] = view.at[i];
+        camera.up[i] = view.up[i];
+    }
+    camera.fovy = view.fovy;
+
+    updateProjection();
+    onCameraChanged();
+    if (gui) gui.updateDisplay();
+}
+
+// User input takes over from bookmark transitions and path playback
+function cancelCameraAnimations() {
+    cameraTransition = null;
+    cameraPath.playing = false;
+}
+
+/**
+ * Bookmark the current view of the main camera, up to MAX_BOOKMARKS.
+ */
+function addCameraBookmark() {
+    if (cameraBookmarks.length >= MAX_BOOKMARKS) {
+        console.warn(`At most ${MAX_BOOKMARKS} camera bookmarks are supported`);
+        return;
+    }
+
+    cameraBookmarks.push({ name: `View ${cameraBookmarks.length + 1}`, ...captureCameraView() });
+    rebuildBookmarkFolders();
+    bookmarkFolders[bookmarkFolders.length - 1].open();
+}
+
+/**
+ * GUI folder of one bookmark: name, go to it (or its number key), update
+ * it with the current view and remove it.
+ */
+function addBookmarkFolder(index) {
+    const bookmark = cameraBookmarks[index];
+    const folder = bookmarksFolder.addFolder(`Bookmark ${index + 1}`);
+
+    folder.add(bookmark, 'name');
+    folder.add({ go: () => flyToCameraView(bookmark) }, 'go').name(`go (key ${index + 1})`);
+    folder.add({
+        update: () => Object.assign(bookmark, captureCameraView())
+    }, 'update').name('set to current view');
+    folder.add({
+        remove: () => {
+            cameraBookmarks.splice(cameraBookmarks.indexOf(bookmark), 1);
+            rebuildBookmarkFolders();
+        }
+    }, 'remove');
+
+    bookmarkFolders.push(folder);
+}
+
+function rebuildBookmarkFolders() {
+    bookmarkFolders.forEach((folder) => bookmarksFolder.removeFolder(folder));
+    bookmarkFolders = [];
+
+    for (let i = 0; i < cameraBookmarks.length; i++) {
+        addBookmarkFolder(i);
+    }
+}
+
+/* ============================================================
+   CAMERA PATH
+   ============================================================ */
+
+/**
+ * Add the current view of the main camera as the last keyframe.
+ */
+function addCameraPathKey() {
+    cameraPath.keys.push(captureCameraView());
+    cameraPathRecordTime = 0;
+    rebuildCameraPathFolders();
+}
+
+/**
+ * Recording adds a keyframe every CAMERA_PATH_RECORD_INTERVAL seconds
+ * while the camera moves.
+ */
+function setCameraPathRecording(recording) {
+    cameraPath.recording = recording;
+    if (recording) {
+        cameraPath.playing = false;
+        addCameraPathKey();
+    }
+}
+
+function recordCameraPath(dt) {
+    if (!cameraPath.recording) return;
+
+    cameraPathRecordTime += dt;
+    if (cameraPathRecordTime < CAMERA_PATH_RECORD_INTERVAL) return;
+    cameraPathRecordTime = 0;
+
+    const last = cameraPath.keys[cameraPath.keys.length - 1];
+    const moved = !last || length(subtract(last.eye, camera.eye)) > 1e-3
+        || length(subtract(last.at, camera.at)) > 1e-3 || last.fovy !== camera.fovy;
+    if (moved) addCameraPathKey();
+}
+
+/**
+ * Play the path from the current time (from the start once it has ended), or
+ * stop playing it.
+ */
+function toggleCameraPath() {
+    if (cameraPath.playing) {
+        cameraPath.playing = false;
+        return;
+    }
+    if (cameraPath.keys.length < 2) {
+        console.warn('A camera path needs at least 2 keyframes');
+        return;
+    }
+
+    cameraTransition = null;
+    cameraPath.recording = false;
+    if (cameraPath.time >= cameraPath.duration) cameraPath.time = 0;
+    cameraPath.playing = true;
+    cameraPathStart = null;
+    stopCameraMotion();
+    if (gui) gui.updateDisplay();
+}
+
+/**
+ * Playback: the position comes from the frame timestamp (milliseconds), so
+ * the path takes the same time whatever the frame rate.
+ */
+function updateCameraPath(timestamp) {
+    // Keyframes removed during playback
+    if (cameraPath.keys.length < 2) {
+        cameraPath.playing = false;
+        return;
+    }
+
+    if (cameraPathStart === null) {
+        cameraPathStart = timestamp - cameraPath.time * 1000;
+    }
+
+    let time = (timestamp - cameraPathStart) / 1000;
+    if (time >= cameraPath.duration) {
+        if (cameraPath.loop) {
+            time %= cameraPath.duration;
+            cameraPathStart = timestamp - time * 1000;
+        } else {
+            time = cameraPath.duration;
+            cameraPath.playing = false;
+        }
+    }
+
+    cameraPath.time = time;
+    setCameraView(CAMERA_PATH.sampleCameraPath(cameraPath.keys, time / cameraPath.duration));
+}
+
+// Time slider moved by hand
+function scrubCameraPath() {
+    if (cameraPath.keys.length === 0) return;
+
+    cameraPathStart = null;    // playback continues from the new time
+    cancelCameraAnimations();
+    setCameraView(CAMERA_PATH.sampleCameraPath(cameraPath.keys, cameraPath.time / cameraPath.duration));
+}
+
+function onCameraPathDurationChanged() {
+    cameraPath.time = Math.min(cameraPath.time, cameraPath.duration);
+    cameraPathStart = null;
+    cameraPathTimeController.max(cameraPath.duration);
+    rebuildCameraPathFolders();
+}
+
+function clearCameraPath() {
+    cameraPath.keys.length = 0;
+    cameraPath.time = 0;
+    cameraPath.playing = false;
+    rebuildCameraPathFolders();
+}
+
+// Time of keyframe i (seconds)
+function cameraPathKeyTime(i) {
+    const n = cameraPath.keys.length;
+    return n > 1 ? cameraPath.duration * i / (n - 1) : 0;
+}
+
+/**
+ * Timeline: a GUI folder per keyframe, in playback order, to jump to it,
+ * replace it with the current view, move it or remove it.
+ */
+function addCameraPathKeyFolder(index) {
+    const keys = cameraPath.keys;
+    const folder = cameraPathFolder.addFolder(`Key ${index + 1} (${cameraPathKeyTime(index).toFixed(2)} s)`);
+
+    const swap = (a, b) => {
+        if (b < 0 || b >= keys.length) return;
+        [keys[a], keys[b]] = [keys[b], keys[a]];
+        rebuildCameraPathFolders();
+    };
+
+    folder.add({
+        go: () => {
+            cameraPath.time = cameraPathKeyTime(index);
+            flyToCameraView(keys[index]);
+        }
+    }, 'go');
+    folder.add({
+        update: () => { keys[index] = captureCameraView(); }
+    }, 'update').name('set to current view');
+    folder.add({ earlier: () => swap(index, index - 1) }, 'earlier');
+    folder.add({ later: () => swap(index, index + 1) }, 'later');
+    folder.add({
+        remove: () => {
+            keys.splice(index, 1);
+            if (keys.length < 2) cameraPath.playing = false;
+            rebuildCameraPathFolders();
+        }
+    }, 'remove');
+
+    cameraPathKeyFolders.push(folder);
+}
+
+function rebuildCameraPathFolders() {
+    if (!cameraPathFolder) return;
+
+    cameraPathKeyFolders.forEach((folder) => cameraPathFolder.removeFolder(folder));
+    cameraPathKeyFolders = [];
+
+    for (let i = 0; i < cameraPath.keys.length; i++) {
+        addCameraPathKeyFolder(i);
+    }
+}
+
+/**
+ * Set up keyboard and pointer (mouse, pen and touch) events.
+ */
+function initInputHandlers(canvas) {
+    // Keyboard
+    window.addEventListener('keydown', (e) => {
+        // Typing in a GUI text field
+        if (e.target && (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA')) return;
+
+        keyState[e.code] = true;
+
+        if (e.code === 'KeyR') {
+            resetCamera();
+        }
+        if (e.code === 'KeyF') {
+            zoomToFit();
+        }
+        if (e.code === 'KeyK') {
+            addCameraPathKey();
+        }
+        if (e.code === 'KeyP') {
+            toggleCameraPath();
+        }
+        if (e.code === 'KeyC' && !e.ctrlKey && !e.metaKey) {
+            takeScreenshot();
+        }
+        if (e.code === 'KeyV' && !e.ctrlKey && !e.metaKey) {
+            setVideoRecording(!mediaRecorder);
+        }
+
+        // 1-9: camera bookmarks
+        const digit = /^Digit([1-9])$/.exec(e.code);
+        if (digit && cameraBookmarks[digit[1] - 1]) {
+            flyToCameraView(cameraBookmarks[digit[1] - 1]);
+        }
+    });
+
+    window.addEventListener('keyup', (e) => {
+        keyState[e.code] = false;
+    });
+
+    // Mouse drag to rotate camera (orbit), click to select an object
+    // (dragging a gizmo handle edits the selection instead).
+    // In first person a click locks the mouse, which then turns the view.
+    // Middle or right button drag pans the camera.
+    // The fixed orthographic views pan with any button.
+    canvas.addEventListener('pointerdown', (e) => {
+        if (e.pointerType === 'touch') {
+            onTouchDown(canvas, e);
+            return;
+        }
+
+        // Picking, the gizmo and panning use the matrices of the viewport clicked
+        inputViewport = viewportAt(canvas, e.clientX, e.clientY);
+        useViewport(inputViewport);
+
+        if (cameraControl.mode === 'First person' && inputViewport.camera === camera) {
+            if (document.pointerLockElement !== canvas) canvas.requestPointerLock();
+            return;
+        }
+        if (e.button === 1 || e.button === 2) {
+            e.preventDefault();
+            isPanning = true;
+            lastMouseX = e.clientX;
+            lastMouseY = e.clientY;
+            return;
+        }
+        if (startGizmoDrag(canvas, e.clientX, e.clientY)) return;
+
+        isMouseDown = true;
+        lastMouseX = mouseDownX = e.clientX;
+        lastMouseY = mouseDownY = e.clientY;
+    });
+
+    window.addEventListener('pointerup', (e) => {
+        if (e.pointerType === 'touch') return; // see onTouchUp
+        if (inputViewport) useViewport(inputViewport);
+
+        if (isPanning) {
+            isPanning = false;
+            return;
+        }
+        if (gizmoDrag) {
+            gizmoDrag = null;
+            return;
+        }
+
+        const moved = Math.hypot(e.clientX - mouseDownX, e.clientY - mouseDownY);
+        if (isMouseDown && moved <= CLICK_TOLERANCE) {
+            selectNode(pickNode(canvas, e.clientX, e.clientY));
+        }
+        isMouseDown = false;
+    });
+
+    window.addEventListener('pointermove', (e) => {
+        if (e.pointerType === 'touch') return; // see onTouchMove
+        if (inputViewport) useViewport(inputViewport);
+
+        if (gizmoDrag) {
+            updateGizmoDrag(canvas, e.clientX, e.clientY);
+            return;
+        }
+        if (document.pointerLockElement === canvas) {
+            rotateCameraWithMouse(e.movementX, e.movementY);
+            return;
+        }
+        if (!isMouseDown && !isPanning) return;
+
+        const dx = e.clientX - lastMouseX;
+        const dy = e.clientY - lastMouseY;
+        lastMouseX = e.clientX;
+        lastMouseY = e.clientY;
+
+        if (isPanning || inputViewport.camera !== camera) panCameraWithMouse(dx, dy);
+        else rotateCameraWithMouse(dx, dy);
+    });
+
+    // Touch pointers are captured by the canvas
+    canvas.addEventListener('pointermove', (e) => {
+        if (e.pointerType === 'touch') onTouchMove(canvas, e);
+    });
+    canvas.addEventListener('pointerup', (e) => {
+        if (e.pointerType === 'touch') onTouchUp(canvas, e);
+    });
+    canvas.addEventListener('pointercancel', (e) => {
+        if (e.pointerType === 'touch') onTouchUp(canvas, e, true);
+    });
+
+    // Wheel to dolly (lines/pages are converted to approximate pixels)
+    canvas.addEventListener('wheel', (e) => {
+        e.preventDefault();
+        const pixels = e.deltaMode === 1 ? 33 : e.deltaMode === 2 ? canvas.clientHeight : 1;
+        const amount = e.deltaY * pixels * WHEEL_ZOOM_SPEED;
+
+        const vp = viewportAt(canvas, e.clientX, e.clientY);
+        if (vp.camera === camera) zoomCamera(amount);
+        else zoomOrthoView(vp.camera, amount);
+    }, { passive: false });
+
+    // The right button pans instead of opening the context menu
+    canvas.addEventListener('contextmenu', (e) => e.preventDefault());
+
+    initTouchControls();
+}
+
+/* ============================================================
+   TOUCH CONTROLS
+   ============================================================ */
+
+// Distance and midpoint of the first two touch pointers
+function touchPinch() {
+    const [a, b] = touchPointers.values();
+    return {
+        distance: Math.hypot(b.x - a.x, b.y - a.y),
+        x: (a.x + b.x) / 2,
+        y: (a.y + b.y) / 2
+    };
+}
+
+/**
+ * One finger orbits (or drags a gizmo handle, or selects with a tap),
+ * two fingers pinch to zoom and move together to pan.
+ */
+function onTouchDown(canvas, e) {
+    document.body.classList.add('touch');
+    canvas.setPointerCapture(e.pointerId);
+    touchPointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+    if (touchPointers.size === 1) {
+        inputViewport = viewportAt(canvas, e.clientX, e.clientY);
+        useViewport(inputViewport);
+
+        if (startGizmoDrag(canvas, e.clientX, e.clientY)) return;
+        touchTap = { x: e.clientX, y: e.clientY };
+    } else {
+        // A second finger: no tap, no handle drag
+        touchTap = null;
+        gizmoDrag = null;
+    }
+}
+
+function onTouchMove(canvas, e) {
+    const pointer = touchPointers.get(e.pointerId);
+    if (!pointer) return;
+    useViewport(inputViewport);
+
+    const before = touchPointers.size >= 2 ? touchPinch() : null;
+    const dx = e.clientX - pointer.x;
+    const dy = e.clientY - pointer.y;
+    pointer.x = e.clientX;
+    pointer.y = e.clientY;
+
+    if (touchPointers.size === 1) {
+        if (gizmoDrag) {
+            updateGizmoDrag(canvas, e.clientX, e.clientY);
+            return;
+        }
+        if (touchTap && Math.hypot(e.clientX - touchTap.x, e.clientY - touchTap.y) > CLICK_TOLERANCE) {
+            touchTap = null;
+        }
+        if (inputViewport.camera === camera) rotateCameraWithMouse(dx, dy);
+        else panCameraWithMouse(dx, dy);
+        return;
+    }
+
+    const after = touchPinch();
+    if (before.distance > 0 && after.distance > 0) {
+        const amount = Math.log(before.distance / after.distance);
+        if (inputViewport.camera === camera) zoomCamera(amount);
+        else zoomOrthoView(inputViewport.camera, amount);
+    }
+    panCameraWithMouse(after.x - before.x, after.y - before.y);
+}
+
+function onTouchUp(canvas, e, cancelled = false) {
+    if (!touchPointers.delete(e.pointerId)) return;
+    useViewport(inputViewport);
+
+    if (touchPointers.size === 0) {
+        if (gizmoDrag) {
+            gizmoDrag = null;
+        } else if (touchTap && !cancelled) {
+            selectNode(pickNode(canvas, e.clientX, e.clientY));
+        }
+        touchTap = null;
+    }
+}
+
+/**
+ * On-screen joystick (moves like WASD) and up/down buttons (Space/Shift)
+ * of the .keys-box overlay, shown instead of the keys on touch screens.
+ */
+function initTouchControls() {
+    const pad = document.querySelector('.joystick');
+    const knob = document.querySelector('.joystick-knob');
+    if (!pad || !knob) return;
+
+    let padPointer = null;
+
+    const moveKnob = (e) => {
+        const rect = pad.getBoundingClientRect();
+        const radius = rect.width / 2;
+        let x = (e.clientX - (rect.left + radius)) / radius;
+        let y = (e.clientY - (rect.top + radius)) / radius;
+
+        const len = Math.hypot(x, y);
+        if (len > 1) {
+            x /= len;
+            y /= len;
+        }
+
+        joystick.right = x;
+        joystick.forward = -y;
+        knob.style.transform = `translate(${x * radius}px, ${y * radius}px)`;
+    };
+
+    const release = () => {
+        padPointer = null;
+        joystick.right = 0;
+        joystick.forward = 0;
+        knob.style.transform = '';
+    };
+
+    pad.addEventListener('pointerdown', (e) => {
+        padPointer = e.pointerId;
+        pad.setPointerCapture(e.pointerId);
+        moveKnob(e);
+    });
+    pad.addEventListener('pointermove', (e) => {
+        if (e.pointerId === padPointer) moveKnob(e);
+    });
+    pad.addEventListener('pointerup', release);
+    pad.addEventListener('pointercancel', release);
+
+    // Buttons hold down the key in their data-key attribute
+    document.querySelectorAll('.touch-button').forEach((button) => {
+        const code = button.dataset.key;
+        button.addEventListener('pointerdown', (e) => {
+            button.setPointerCapture(e.pointerId);
+            keyState[code] = true;
+        });
+        button.addEventListener('pointerup', () => { keyState[code] = false; });
+        button.addEventListener('pointercancel', () => { keyState[code] = false; });
+    });
+}
+
+/* ============================================================
+   LIGHTS
+   ============================================================ */
+
+/**
+ * Get light position & axis in CAMERA coordinates (of the active viewport).
+ */
+function getLightCameraSpace(light) {
+    const main = getLightMainCameraSpace(light);
+    if (!viewFromMainCamera) return main;
+
+    const posEye = mult(viewFromMainCamera, main.posEye);
+    const axisEye = mult(viewFromMainCamera, vec4(main.axisEye[0], main.axisEye[1], main.axisEye[2], 0.0));
+    return { posEye, axisEye: vec3(axisEye[0], axisEye[1], axisEye[2]) };
+}
+
+/**
+ * Light position & axis in the coordinates of the main camera.
+ */
+function getLightMainCameraSpace(light) {
+    const up = normalize(camera.up);
+    const view = lookAt(camera.eye, camera.at, up);
+
+    if (light.node) {
+        // Attached to a scene node: follows it whatever the light space
+        const { posWorld, axisWorld } = getNodeLightWorldSpace(light);
+        const lpEye4 = mult(view, vec4(posWorld[0], posWorld[1], posWorld[2], 1.0));
+        const axisEye4 = mult(view, vec4(axisWorld[0], axisWorld[1], axisWorld[2], 0.0));
+
+        return {
+            posEye: vec4(lpEye4[0], lpEye4[1], lpEye4[2], light.position[3]),
+            axisEye: vec3(axisEye4[0], axisEye4[1], axisEye4[2])
+        };
+    }
+
+    if (options.lightCoords === 'Camera') {
+        if (light.type === 2) {
+            // Spotlight in camera space: always from camera center forward
+            return {
+                posEye: vec4(0, 0, 0, 1),
+                axisEye: vec3(0, 0, -1)
+            };
+        } else {
+            // Point or directional: use slider-defined coordinates in eye space
             return {
                 posEye: vec4(light.position[0], light.position[1], light.position[2], light.position[3]),
                 axisEye: vec3(light.axis[0], light.axis[1], light.axis[2])
@@ -629,250 +2054,1431 @@ function getLightCameraSpace(light) {
         const lpWorld  = vec4(light.position[0], light.position[1], light.position[2], light.position[3]);
         const lpEye4   = mult(view, lpWorld);
 
-        const axisWorld4 = vec4(light.axis[0], light.axis[1], light.axis[2], 0.0);
-        const axisEye4   = mult(view, axisWorld4);
+        const axisWorld4 = vec4(light.axis[0], light.axis[1], light.axis[2], 0.0);
+        const axisEye4   = mult(view, axisWorld4);
+
+        return {
+            posEye: vec4(lpEye4[0], lpEye4[1], lpEye4[2], light.position[3]),
+            axisEye: vec3(axisEye4[0], axisEye4[1], axisEye4[2])
+        };
+    }
+}
+
+/**
+ * Get light position & axis in WORLD coordinates.
+ */
+function getLightWorldSpace(light) {
+    const basis = computeCameraBasis();
+
+    if (light.node) {
+        return getNodeLightWorldSpace(light);
+    }
+
+    if (options.lightCoords === 'World') {
+        return {
+            posWorld: vec3(light.position[0], light.position[1], light.position[2]),
+            axisWorld: normalize(vec3(light.axis[0], light.axis[1], light.axis[2]))
+        };
+    } else {
+        // Sliders are in camera space → convert to world space.
+        if (light.type === 2) {
+            const posWorld = vec3(camera.eye[0], camera.eye[1], camera.eye[2]);
+            const axisWorld = basis.forward; 
+            return { posWorld, axisWorld };
+        } else {
+            // Point/Directional: use slider-defined eye-space position,
+            // then convert to world with the camera basis.
+            const pEye = vec3(light.position[0], light.position[1], light.position[2]);
+            // Pw = eye + x * right + y * up - z * forward
+            let posWorld = add(camera.eye, scale(pEye[0], basis.right));
+            posWorld = add(posWorld, scale(pEye[1], basis.up));
+            posWorld = add(posWorld, scale(-pEye[2], basis.forward));
+
+            const aEye = vec3(light.axis[0], light.axis[1], light.axis[2]);
+
+            let axisWorld = add(scale(aEye[0], basis.right),
+                                scale(aEye[1], basis.up));
+            axisWorld = add(axisWorld, scale(-aEye[2], basis.forward));
+            axisWorld = normalize(axisWorld);
+
+            return { posWorld, axisWorld };
+        }
+    }
+}
+
+/**
+ * Position & axis in WORLD coordinates of a light attached to a scene node:
+ * the node origin, pointing down the node's local -Y axis.
+ */
+function getNodeLightWorldSpace(light) {
+    const m = light.node.worldMatrix;
+    return {
+        posWorld: vec3(m[0][3], m[1][3], m[2][3]),
+        axisWorld: normalize(vec3(-m[0][1], -m[1][1], -m[2][1]))
+    };
+}
+
+/**
+ * Mark the light data out of date after editing a light, a camera or a
+ * node transform: every section of the Lights buffer is written again
+ * when next used.
+ */
+function invalidateLights() {
+    lightsVersion++;
+}
+
+/**
+ * Write the light data, in the camera coordinates of the active viewport,
+ * into its section of the Lights uniform buffer, shared by all the programs.
+ * Nothing is written unless invalidateLights was called since the last time.
+ */
+function uploadLights() {
+    const slot = (activeViewport || getMainViewport()).slot;
+
+    if (packedLights[slot] === lightsVersion) {
+        lightsBlock.bind(slot);
+        return;
+    }
+    packedLights[slot] = lightsVersion;
+
+    // The shaders only have room for MAX_LIGHTS entries
+    const count = Math.min(lights.length, MAX_LIGHTS);
+
+    // Number of active lights
+    let nLights = 0;
+    for (let i = 0; i < count; i++) {
+        if (lights[i].enabled) nLights = i + 1;
+    }
+
+    lightsBlock.set(slot, 'u_n_lights', nLights);
+
+    for (let i = 0; i < count; i++) {
+        const light = lights[i];
+
+        const camLight = getLightCameraSpace(light);
+        const posEye   = camLight.posEye;
+        const axisEye  = camLight.axisEye;
+
+        const pos = [
+            posEye[0],
+            posEye[1],
+            posEye[2],
+            (light.type === 1 ? 0 : 1) // 0 = directional, 1 = point/spot
+        ];
+
+        const set = (name, value) => lightsBlock.set(slot, `${name}[${i}]`, value);
+        set('u_light_ambient', colorToArray(light.ambient));
+        set('u_light_diffuse', colorToArray(light.diffuse));
+        set('u_light_specular', colorToArray(light.specular));
+        set('u_light_position', pos);
+        set('u_light_axis', axisEye);
+        set('u_light_aperture', light.aperture);
+        set('u_light_inner_aperture', light.innerAperture);
+        set('u_light_cutoff', light.cutoff);
+        set('u_light_type', light.type);
+        set('u_light_enabled', light.enabled);
+        set('u_light_attenuation', light.attenuation);
+
+        const hasShadow = light.enabled && light.castShadows && shadowMatrices[i] !== undefined;
+        set('u_light_shadow', hasShadow);
+        set('u_light_shadowBias', light.shadowBias);
+        set('u_light_shadowFar', SHADOW_FAR);
+        if (hasShadow) set('u_light_shadowMatrix', getShadowMatrix(i));
+    }
+    lightsBlock.bind(slot);
+}
+
+/**
+ * Upload material data to the current shader program.
+ */
+function uploadMaterialUniforms(material) {
+    program.set('u_material.Ka', colorToArray(material.Ka));
+    program.set('u_material.Kd', colorToArray(material.Kd));
+    program.set('u_material.Ks', colorToArray(material.Ks));
+    program.set('u_material.shininess', material.shininess);
+    program.set('u_material.metallic', material.metallic ?? 0);
+    program.set('u_material.roughness', material.roughness ?? 0.5);
+
+    // Texture units are always assigned: samplers of different types
+    // must never share a unit (the shadow maps use unit 0).
+    const uploadMap = (samplerName, flagName, texture, unit) => {
+        program.set(samplerName, unit);
+        program.set(flagName, !!texture);
+
+        if (texture) {
+            gl.activeTexture(gl.TEXTURE0 + unit);
+            gl.bindTexture(gl.TEXTURE_2D, texture);
+        }
+    };
+
+    uploadMap('u_diffuseMap', 'u_useDiffuseMap', material.diffuseMap, DIFFUSE_MAP_UNIT);
+    uploadMap('u_specularMap', 'u_useSpecularMap', material.specularMap, SPECULAR_MAP_UNIT);
+}
+
+/* ============================================================
+   TEXTURES
+   ============================================================ */
+
+/**
+ * Create a mipmapped, repeating 2D texture from an image.
+ */
+function createTexture(gl, image) {
+    const texture = gl.createTexture();
+    gl.activeTexture(gl.TEXTURE0 + DIFFUSE_MAP_UNIT);
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+
+    // Texture coordinates have v = 0 at the bottom of the image
+    gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, image);
+    gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
+
+    gl.generateMipmap(gl.TEXTURE_2D);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR_MIPMAP_LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.REPEAT);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.REPEAT);
+
+    return texture;
+}
+
+/**
+ * Load an image from a URL.
+ */
+function loadImage(url) {
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => resolve(image);
+        image.onerror = () => reject(new Error(`Could not load image ${url}`));
+        image.src = url;
+    });
+}
+
+/**
+ * Decode an image file chosen by the user.
+ */
+function loadImageFile(file) {
+    const url = URL.createObjectURL(file);
+    const release = () => URL.revokeObjectURL(url);
+
+    return loadImage(url)
+        .then((image) => {
+            release();
+            return image;
+        })
+        .catch(() => {
+            release();
+            throw new Error(`Could not decode image ${file.name}`);
+        });
+}
+
+/**
+ * Load the textures named in model materials (map_Kd / map_Ks),
+ * relative to the model location.
+ */
+function loadModelTextures(materials, baseUrl) {
+    for (const material of Object.values(materials)) {
+        const files = { diffuseMap: material.diffuseMapFile, specularMap: material.specularMapFile };
+
+        for (const slot in files) {
+            if (!files[slot]) continue;
+
+            loadImage(baseUrl + files[slot])
+                .then((image) => {
+                    material[slot] = createTexture(gl, image);
+                })
+                .catch((err) => {
+                    console.error('Failed to load texture:', err);
+                });
+        }
+    }
+}
+
+/**
+ * Open a file picker and use the chosen image as a material texture.
+ * slot is 'diffuseMap' or 'specularMap'.
+ */
+function pickMaterialTexture(material, slot) {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = 'image/*';
+
+    input.addEventListener('change', () => {
+        const file = input.files[0];
+        if (!file) return;
+
+        loadImageFile(file)
+            .then((image) => {
+                if (material[slot]) gl.deleteTexture(material[slot]);
+                material[slot] = createTexture(gl, image);
+            })
+            .catch((err) => {
+                console.error('Failed to load texture:', err);
+            });
+    });
+
+    input.click();
+}
+
+/**
+ * Remove both textures from a material.
+ */
+function clearMaterialTextures(material) {
+    for (const slot of ['diffuseMap', 'specularMap']) {
+        if (material[slot]) gl.deleteTexture(material[slot]);
+        material[slot] = null;
+    }
+}
+
+/* ============================================================
+   SCENE FILES
+   ============================================================ */
+
+// Colors edited by dat.gui may be arrays or { r, g, b }
+function colorToArray(color) {
+    if (Array.isArray(color)) return [color[0], color[1], color[2]];
+    if (typeof color === 'object' && color.r !== undefined) {
+        return [color.r, color.g, color.b];
+    }
+    return [0, 0, 0];
+}
+
+function serializeMaterial(material) {
+    return {
+        Ka: colorToArray(material.Ka),
+        Kd: colorToArray(material.Kd),
+        Ks: colorToArray(material.Ks),
+        shininess: material.shininess,
+        metallic: material.metallic,
+        roughness: material.roughness
+    };
+}
+
+// Copy the colors and shininess of a saved material, keeping its textures
+function applyMaterial(material, saved) {
+    material.Ka = [...saved.Ka];
+    material.Kd = [...saved.Kd];
+    material.Ks = [...saved.Ks];
+    material.shininess = saved.shininess;
+    if (saved.metallic !== undefined) material.metallic = saved.metallic;
+    if (saved.roughness !== undefined) material.roughness = saved.roughness;
+}
+
+/**
+ * Current scene state as a scene file document (see libs/scenefile.js).
+ */
+function serializeScene() {
+    const nodes = [];
+    SG.traverse(sceneRoot, (node) => {
+        // The scattered copies are random: loading a scene cannot recreate them
+        if (node === sceneRoot || node === instancesNode) return;
+
+        const entry = {
+            path: SG.getNodePath(node),
+            translation: [...node.translation],
+            rotation: [...node.rotation],
+            scale: [...node.scale]
+        };
+        if (node.material) entry.material = serializeMaterial(node.material);
+        if (node.materials) {
+            entry.materials = {};
+            for (const name in node.materials) {
+                entry.materials[name] = serializeMaterial(node.materials[name]);
+            }
+        }
+        nodes.push(entry);
+    });
+
+    return {
+        format: SCENE_FILE.SCENE_FORMAT,
+        version: SCENE_FILE.SCENE_VERSION,
+        camera: {
+            eye: [...camera.eye],
+            at: [...camera.at],
+            up: [...camera.up],
+            projection: camera.projection,
+            fovy: camera.fovy,
+            orthoSize: camera.orthoSize,
+            near: camera.near,
+            far: camera.far
+        },
+        bookmarks: cameraBookmarks.map((bookmark) => ({
+            name: bookmark.name,
+            eye: [...bookmark.eye],
+            at: [...bookmark.at],
+            up: [...bookmark.up],
+            fovy: bookmark.fovy
+        })),
+        cameraPath: {
+            duration: cameraPath.duration,
+            loop: cameraPath.loop,
+            keys: cameraPath.keys.map((key) => ({
+                eye: [...key.eye],
+                at: [...key.at],
+                up: [...key.up],
+                fovy: key.fovy
+            }))
+        },
+        options: { ...options },
+        lights: lights.map((light) => ({
+            enabled: light.enabled,
+            type: light.type,
+            position: [...light.position],
+            axis: [...light.axis],
+            aperture: light.aperture,
+            innerAperture: light.innerAperture,
+            cutoff: light.cutoff,
+            attenuation: [...light.attenuation],
+            castShadows: light.castShadows,
+            shadowBias: light.shadowBias,
+            ambient: colorToArray(light.ambient),
+            diffuse: colorToArray(light.diffuse),
+            specular: colorToArray(light.specular),
+            node: light.node ? SG.getNodePath(light.node) : null
+        })),
+        nodes
+    };
+}
+
+/**
+ * Replace the current scene state with a validated scene document.
+ * Nodes that do not exist in this scene are skipped with a warning.
+ */
+function applyScene(doc) {
+    // Camera (arrays are updated in place: the GUI controllers hold them)
+    for (const key of ['eye', 'at', 'up']) {
+        for (let i = 0; i < 3; i++) camera[key][i] = doc.camera[key][i];
+    }
+    camera.projection = doc.camera.projection ?? 'Perspective';
+    camera.fovy = doc.camera.fovy;
+    if (doc.camera.orthoSize !== undefined) camera.orthoSize = doc.camera.orthoSize;
+    camera.near = doc.camera.near;
+    camera.far = doc.camera.far;
+
+    Object.assign(options, doc.options);
+    if (options.backfaceCulling) gl.enable(gl.CULL_FACE);
+    else gl.disable(gl.CULL_FACE);
+    if (options.depthTest) gl.enable(gl.DEPTH_TEST);
+    else gl.disable(gl.DEPTH_TEST);
+    applyShadingMode();
+
+    // Lights
+    const loaded = doc.lights.slice(0, MAX_LIGHTS).map((saved) => {
+        let node = null;
+        if (saved.node !== null) {
+            node = SG.findNodeByPath(sceneRoot, saved.node);
+            if (!node) console.warn(`Scene file: light node "${saved.node}" not found`);
+        }
+        return {
+            ...saved,
+            position: [...saved.position],
+            axis: normalize(vec3(saved.axis[0], saved.axis[1], saved.axis[2])),
+            innerAperture: saved.innerAperture ?? saved.aperture,
+            attenuation: saved.attenuation ? [...saved.attenuation] : [1, 0, 0],
+            ambient: [...saved.ambient],
+            diffuse: [...saved.diffuse],
+            specular: [...saved.specular],
+            node
+        };
+    });
+    if (doc.lights.length > MAX_LIGHTS) {
+        console.warn(`Scene file: only the first ${MAX_LIGHTS} lights were loaded`);
+    }
+    lights.length = 0;
+    lights.push(...loaded);
+
+    // Scene graph nodes
+    for (const saved of doc.nodes) {
+        const node = SG.findNodeByPath(sceneRoot, saved.path);
+        if (!node) {
+            console.warn(`Scene file: node "${saved.path}" not found`);
+            continue;
+        }
+
+        for (let i = 0; i < 3; i++) {
+            node.translation[i] = saved.translation[i];
+            node.rotation[i] = saved.rotation[i];
+            node.scale[i] = saved.scale[i];
+        }
+        if (saved.material && node.material) applyMaterial(node.material, saved.material);
+        if (saved.materials && node.materials) {
+            for (const name in saved.materials) {
+                if (node.materials[name]) applyMaterial(node.materials[name], saved.materials[name]);
+            }
+        }
+    }
+
+    // Bookmarks (the defaults are kept when the file has none)
+    if (doc.bookmarks) {
+        cameraBookmarks.length = 0;
+        for (const saved of doc.bookmarks.slice(0, MAX_BOOKMARKS)) {
+            cameraBookmarks.push({
+                name: saved.name,
+                eye: vec3(...saved.eye),
+                at: vec3(...saved.at),
+                up: vec3(...saved.up),
+                fovy: saved.fovy
+            });
+        }
+    }
+    cameraPath.keys = (doc.cameraPath ? doc.cameraPath.keys : []).map((saved) => ({
+        eye: vec3(...saved.eye),
+        at: vec3(...saved.at),
+        up: vec3(...saved.up),
+        fovy: saved.fovy
+    }));
+    if (doc.cameraPath) {
+        cameraPath.duration = doc.cameraPath.duration;
+        cameraPath.loop = doc.cameraPath.loop;
+    }
+    cameraPath.time = 0;
+    cameraPath.recording = false;
+    cancelCameraAnimations();
+    stopCameraMotion();
+
+    rebuildLightFolders();
+    invalidateLights();
+    rebuildBookmarkFolders();
+    onCameraPathDurationChanged();
+    gui.updateDisplay();
+    updateProjection();
+    onCameraChanged();
+}
+
+/**
+ * Save the scene as a JSON file (browser download).
+ */
+function downloadScene() {
+    const text = SCENE_FILE.stringifyScene(serializeScene());
+    downloadBlob(new Blob([text], { type: 'application/json' }), 'scene.json');
+}
+
+// Save blob as a file named filename (browser download)
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Open a file picker and load the chosen scene file.
+ */
+function pickSceneFile() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,application/json';
+
+    input.addEventListener('change', () => {
+        const file = input.files[0];
+        if (!file) return;
+
+        file.text()
+            .then((text) => applyScene(SCENE_FILE.parseScene(text)))
+            .catch((err) => {
+                console.error('Failed to load scene:', err);
+                alert(`Failed to load scene ${file.name}: ${err.message}`);
+            });
+    });
+
+    input.click();
+}
+
+/**
+ * Load the scene file given by the ?scene= URL parameter, if any.
+ */
+function loadSceneFromURL() {
+    const url = new URLSearchParams(window.location.search).get('scene');
+    if (!url || !sceneRoot) return;
+
+    loadJSONFile(url)
+        .then((doc) => applyScene(SCENE_FILE.validateScene(doc)))
+        .catch((err) => {
+            console.error(`Failed to load scene ${url}:`, err);
+            alert(`Failed to load scene ${url}: ${err.message}`);
+        });
+}
+
+/* ============================================================
+   FRAME CAPTURE
+   ============================================================ */
+
+// File name with the current date and time, e.g. "screenshot-2024-05-01-12-30-05.png"
+function captureFileName(prefix, extension) {
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-');
+    return `${prefix}-${stamp}.${extension}`;
+}
+
+/**
+ * Save the canvas as a PNG, at captureOptions.supersampling times its size.
+ *
+ * The frame is drawn and read back in the same task, before the browser
+ * presents (and clears) the drawing buffer, so the context does not need
+ * preserveDrawingBuffer.
+ */
+function takeScreenshot() {
+    const canvas = gl.canvas;
+    const width = canvas.width;
+    const height = canvas.height;
+
+    // Keep the video size while recording, and within the GPU limits
+    const maxSize = Math.min(gl.getParameter(gl.MAX_RENDERBUFFER_SIZE), ...gl.getParameter(gl.MAX_VIEWPORT_DIMS));
+    const factor = mediaRecorder ? 1
+        : Math.max(1, Math.min(captureOptions.supersampling, Math.floor(maxSize / Math.max(width, height))));
+    if (factor < captureOptions.supersampling && !mediaRecorder) {
+        console.warn(`Screenshot supersampling limited to ${factor}x by the GPU`);
+    }
+
+    if (factor > 1) resizeCanvas(width * factor, height * factor);
+    drawFrame();
+
+    canvas.toBlob((blob) => {
+        if (!blob) {
+            console.error('Could not encode the screenshot');
+            return;
+        }
+        downloadBlob(blob, captureFileName('screenshot', 'png'));
+    }, 'image/png');
+
+    if (factor > 1) {
+        resizeCanvas(width, height);
+        drawFrame();
+    }
+}
+
+/**
+ * Start or stop recording the canvas to a WebM video, saved when it stops.
+ */
+function setVideoRecording(recording) {
+    if (!recording) {
+        if (mediaRecorder) mediaRecorder.stop();
+        return;
+    }
+    if (mediaRecorder) return;
+
+    const canvas = gl.canvas;
+    const mimeType = typeof MediaRecorder === 'undefined' || !canvas.captureStream ? undefined
+        : VIDEO_TYPES.find((type) => MediaRecorder.isTypeSupported(type));
+    if (!mimeType) {
+        console.error('WebM video recording is not supported by this browser');
+        captureOptions.recording = false;
+        if (gui) gui.updateDisplay();
+        return;
+    }
+
+    const stream = canvas.captureStream(captureOptions.fps);
+    const chunks = [];
+
+    mediaRecorder = new MediaRecorder(stream, {
+        mimeType,
+        videoBitsPerSecond: captureOptions.bitrate * 1e6
+    });
+    mediaRecorder.addEventListener('dataavailable', (e) => {
+        if (e.data.size > 0) chunks.push(e.data);
+    });
+    mediaRecorder.addEventListener('stop', () => {
+        stream.getTracks().forEach((track) => track.stop());
+        downloadBlob(new Blob(chunks, { type: 'video/webm' }), captureFileName('recording', 'webm'));
+
+        mediaRecorder = null;
+        captureOptions.recording = false;
+        if (gui) gui.updateDisplay();
+    });
+    mediaRecorder.addEventListener('error', (e) => console.error('Video recording failed:', e.error));
 
-        return {
-            posEye: vec4(lpEye4[0], lpEye4[1], lpEye4[2], light.position[3]),
-            axisEye: vec3(axisEye4[0], axisEye4[1], axisEye4[2])
-        };
+    mediaRecorder.start(1000);  // hand over the data every second
+    captureOptions.recording = true;
+    if (gui) gui.updateDisplay();
+}
+
+/* ============================================================
+   INSTANCES
+   ============================================================ */
+
+// Demo of GPU instancing: many copies of one mesh scattered on the
+// platform, drawn with a single call (see createInstancedMesh in mesh.js).
+
+function getInstanceMesh(shape) {
+    if (!instanceMeshes[shape]) {
+        const create = {
+            Cube: CUBE.createCube,
+            Torus: TORUS.createTorus,
+            Cylinder: CYLINDER.createCylinder,
+            Bunny: BUNNY.createBunny,
+            Cow: COW.createCow
+        }[shape];
+        instanceMeshes[shape] = create(gl);
     }
+    return instanceMeshes[shape];
+}
+
+// Color of hue h (0..1), saturated enough to tell the copies apart
+function hueColor(h) {
+    const channel = (n) => {
+        const k = (n + 6 * h) % 6;
+        return 1 - 0.6 * Math.max(0, Math.min(k, 4 - k, 1));
+    };
+    return [channel(5), channel(3), channel(1)];
 }
 
 /**
- * Get light position & axis in WORLD coordinates.
+ * Replace the copies with instanceOptions.count new ones at random places
+ * on the platform, resting on it, with random headings, sizes and colors.
+ * They belong to the "Instances" node, created the first time.
  */
-function getLightWorldSpace(light) {
-    const basis = computeCameraBasis();
+function scatterInstances() {
+    const mesh = getInstanceMesh(instanceOptions.shape);
+    const count = Math.max(1, Math.min(MAX_INSTANCES, Math.round(instanceOptions.count)));
+    const random = (min, max) => min + (max - min) * Math.random();
+
+    const instances = [];
+    for (let i = 0; i < count; i++) {
+        const size = instanceOptions.size * random(0.6, 1.4);
+        const position = vec3(random(-INSTANCE_AREA, INSTANCE_AREA), -mesh.bounds.min[1] * size,
+                              random(-INSTANCE_AREA, INSTANCE_AREA));
+        instances.push({
+            matrix: mult(translate(position), mult(rotateY(random(0, 360)), scalem(size, size, size))),
+            color: hueColor(Math.random())
+        });
+    }
 
-    if (options.lightCoords === 'World') {
-        return {
-            posWorld: vec3(light.position[0], light.position[1], light.position[2]),
-            axisWorld: normalize(vec3(light.axis[0], light.axis[1], light.axis[2]))
-        };
-    } else {
-        // Sliders are in camera space → convert to world space.
-        if (light.type === 2) {
-            const posWorld = vec3(camera.eye[0], camera.eye[1], camera.eye[2]);
-            const axisWorld = basis.forward; 
-            return { posWorld, axisWorld };
-        } else {
-            // Point/Directional: use slider-defined eye-space position,
-            // then convert to world with the camera basis.
-            const pEye = vec3(light.position[0], light.position[1], light.position[2]);
-            // Pw = eye + x * right + y * up - z * forward
-            let posWorld = add(camera.eye, scale(pEye[0], basis.right));
-            posWorld = add(posWorld, scale(pEye[1], basis.up));
-            posWorld = add(posWorld, scale(-pEye[2], basis.forward));
+    if (instancesNode) {
+        instancesNode.object.dispose(gl);
+        instancesNode.object = MESH.createInstancedMesh(gl, mesh, instances);
+        return;
+    }
 
-            const aEye = vec3(light.axis[0], light.axis[1], light.axis[2]);
+    instancesNode = SG.createNode('Instances', {
+        object: MESH.createInstancedMesh(gl, mesh, instances),
+        material: { ...baseMaterials.instances }
+    });
+    SG.addChild(sceneRoot, instancesNode);
+    addNodeFolder(sceneFolder, instancesNode);
+}
 
-            let axisWorld = add(scale(aEye[0], basis.right),
-                                scale(aEye[1], basis.up));
-            axisWorld = add(axisWorld, scale(-aEye[2], basis.forward));
-            axisWorld = normalize(axisWorld);
+/**
+ * Remove the "Instances" node and its copies.
+ */
+function clearInstances() {
+    if (!instancesNode) return;
 
-            return { posWorld, axisWorld };
-        }
-    }
+    if (selectedNode === instancesNode) selectNode(null);
+    sceneFolder.removeFolder(nodeFolders.get(instancesNode));
+    nodeFolders.delete(instancesNode);
+    materialFolders.delete(instancesNode);
+
+    SG.removeChild(sceneRoot, instancesNode);
+    instancesNode.object.dispose(gl);
+    instancesNode = null;
 }
 
+/* ============================================================
+   SHADOWS
+   ============================================================ */
+
+// Cube map faces (+X, -X, +Y, -Y, +Z, -Z) aligned with the eye axes,
+// using the usual cube map orientation that phong.frag relies on.
+const cubeFaces = [
+    { dir: vec3( 1,  0,  0), up: vec3(0, -1,  0) },
+    { dir: vec3(-1,  0,  0), up: vec3(0, -1,  0) },
+    { dir: vec3( 0,  1,  0), up: vec3(0,  0,  1) },
+    { dir: vec3( 0, -1,  0), up: vec3(0,  0, -1) },
+    { dir: vec3( 0,  0,  1), up: vec3(0, -1,  0) },
+    { dir: vec3( 0,  0, -1), up: vec3(0, -1,  0) }
+];
+
+// Maps clip coordinates [-1, 1] to texture coordinates [0, 1]
+const shadowBiasMatrix = mult(translate(0.5, 0.5, 0.5), scalem(0.5, 0.5, 0.5));
+
 /**
- * Upload all light data to the current shader program.
+ * Initialize the depth texture array (6 layers per light) and its framebuffer.
  */
-function uploadLights() {
-    // Number of active lights
-    let nLights = 0;
-    for (let i = 0; i < lights.length; i++) {
-        if (lights[i].enabled) nLights = i + 1;
+function initShadowMaps(gl) {
+    const texture = gl.createTexture();
+    gl.activeTexture(gl.TEXTURE0 + SHADOW_MAP_UNIT);
+    gl.bindTexture(gl.TEXTURE_2D_ARRAY, texture);
+    gl.texStorage3D(gl.TEXTURE_2D_ARRAY, 1, gl.DEPTH_COMPONENT24,
+                    SHADOW_MAP_SIZE, SHADOW_MAP_SIZE, 6 * MAX_LIGHTS);
+
+    // Hardware depth comparison + bilinear filtering (on top of the PCF kernel)
+    gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_COMPARE_MODE, gl.COMPARE_REF_TO_TEXTURE);
+    gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_COMPARE_FUNC, gl.LEQUAL);
+
+    const framebuffer = gl.createFramebuffer();
+
+    shadowMaps = { texture, framebuffer };
+}
+
+/**
+ * View matrix (eye coordinates -> light) looking from eye along dir.
+ */
+function lightLookAt(eye, dir) {
+    const up = Math.abs(dir[1]) > 0.99 ? vec3(1, 0, 0) : vec3(0, 1, 0);
+    return lookAt(eye, add(eye, dir), up);
+}
+
+/**
+ * Compute the shadow cameras of one light: one for directional and spot
+ * lights, six (cube map faces) for point lights.
+ * Views are built in the eye coordinates of the active viewport (the main
+ * camera, see renderShadowMaps).
+ */
+function computeShadowCameras(light) {
+    const { posEye, axisEye } = getLightCameraSpace(light);
+    const pos = vec3(posEye[0], posEye[1], posEye[2]);
+
+    if (light.type === 0) {
+        const projection = perspective(90, 1, SHADOW_NEAR, SHADOW_FAR);
+        return cubeFaces.map((face) => ({
+            view: lookAt(pos, add(pos, face.dir), face.up),
+            projection
+        }));
     }
 
-    const locNLights = gl.getUniformLocation(program, 'u_n_lights');
-    if (locNLights) gl.uniform1i(locNLights, nLights);
+    if (light.type === 1) {
+        // Directional: light travels along "position" (see phongLighting),
+        // orthographic box around the objects on the table.
+        const dir = normalize(vec3(pos[0], pos[1], pos[2]));
+        const r = SHADOW_SCENE_RADIUS;
+        const c4 = mult(mView, vec4(sceneTarget[0], sceneTarget[1], sceneTarget[2], 1));
+        const center = vec3(c4[0], c4[1], c4[2]);
+        const eye = subtract(center, scale(2 * r, dir));
+        return [{
+            view: lightLookAt(eye, dir),
+            projection: ortho(-r, r, -r, r, 0, 4 * r)
+        }];
+    }
 
-    const toColorArray = (color) => {
-        if (Array.isArray(color)) return color;
-        if (typeof color === 'object' && color.r !== undefined) {
-            return [color.r, color.g, color.b];
-        }
-        return [0, 0, 0];
-    };
+    // Spotlight: perspective frustum covering the aperture
+    const fovy = Math.min(Math.max(light.aperture, 1), 170);
+    return [{
+        view: lightLookAt(pos, normalize(vec3(axisEye[0], axisEye[1], axisEye[2]))),
+        projection: perspective(fovy, 1, SHADOW_NEAR, SHADOW_FAR)
+    }];
+}
 
-    for (let i = 0; i < lights.length; i++) {
+/**
+ * Depth-only pass: render the scene from every enabled light that casts
+ * shadows into its layers of the shadow map array. Done once per frame,
+ * with the main camera as the active viewport: the shadow matrices take
+ * its eye coordinates (see getShadowMatrix for the other viewports).
+ */
+function renderShadowMaps() {
+    const count = Math.min(lights.length, MAX_LIGHTS);
+    shadowMatrices.length = 0;
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, shadowMaps.framebuffer);
+    gl.viewport(0, 0, SHADOW_MAP_SIZE, SHADOW_MAP_SIZE);
+    gl.enable(gl.DEPTH_TEST);
+    gl.useProgram(programShadow.program);
+
+    const sceneObjects = getSceneObjects();
+
+    for (let i = 0; i < count; i++) {
         const light = lights[i];
+        if (!light.enabled || !light.castShadows) continue;
 
-        const ambient  = toColorArray(light.ambient);
-        const diffuse  = toColorArray(light.diffuse);
-        const specular = toColorArray(light.specular);
+        const cameras = computeShadowCameras(light);
 
-        const camLight = getLightCameraSpace(light);
-        const posEye   = camLight.posEye;
-        const axisEye  = camLight.axisEye;
+        // Point lights: eye -> centered on the light, the cube faces
+        // being aligned with the eye axes (see shadowFactor in phong.frag)
+        if (light.type === 0) {
+            const { posEye } = getLightCameraSpace(light);
+            shadowMatrices[i] = translate(-posEye[0], -posEye[1], -posEye[2]);
+        } else {
+            shadowMatrices[i] = mult(shadowBiasMatrix, mult(cameras[0].projection, cameras[0].view));
+        }
 
-        const pos = [
-            posEye[0],
-            posEye[1],
-            posEye[2],
-            (light.type === 1 ? 0 : 1) // 0 = directional, 1 = point/spot
-        ];
+        programShadow.set('u_linearDepth', light.type !== 1);
+        programShadow.set('u_far', SHADOW_FAR);
 
-        const locAmbient  = gl.getUniformLocation(program, `u_light_ambient[${i}]`);
-        const locDiffuse  = gl.getUniformLocation(program, `u_light_diffuse[${i}]`);
-        const locSpecular = gl.getUniformLocation(program, `u_light_specular[${i}]`);
-        const locPosition = gl.getUniformLocation(program, `u_light_position[${i}]`);
-        const locAxis     = gl.getUniformLocation(program, `u_light_axis[${i}]`);
-        const locAperture = gl.getUniformLocation(program, `u_light_aperture[${i}]`);
-        const locCutoff   = gl.getUniformLocation(program, `u_light_cutoff[${i}]`);
-        const locType     = gl.getUniformLocation(program, `u_light_type[${i}]`);
-        const locEnabled  = gl.getUniformLocation(program, `u_light_enabled[${i}]`);
+        cameras.forEach((cam, face) => {
+            gl.framebufferTextureLayer(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT,
+                                       shadowMaps.texture, 0, 6 * i + face);
+            gl.clear(gl.DEPTH_BUFFER_BIT);
 
-        if (locAmbient)  gl.uniform3fv(locAmbient, ambient);
-        if (locDiffuse)  gl.uniform3fv(locDiffuse, diffuse);
-        if (locSpecular) gl.uniform3fv(locSpecular, specular);
-        if (locPosition) gl.uniform4fv(locPosition, pos);
-        if (locAxis)     gl.uniform3fv(locAxis, axisEye);
-        if (locAperture) gl.uniform1f(locAperture, light.aperture);
-        if (locCutoff)   gl.uniform1f(locCutoff, light.cutoff);
-        if (locType)     gl.uniform1i(locType, light.type);
-        if (locEnabled)  gl.uniform1i(locEnabled, light.enabled ? 1 : 0);
+            programShadow.set('u_projectionMatrix', cam.projection);
+
+            // Scene objects are in world coordinates: go through the camera first
+            const lightView = mult(cam.view, mView);
+            for (const obj of sceneObjects) {
+                programShadow.set('u_modelViewMatrix', mult(lightView, obj.worldMatrix));
+                obj.object.draw(gl, programShadow.program, gl.TRIANGLES);
+            }
+        });
     }
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    gl.viewport(0, 0, gl.canvas.width, gl.canvas.height);
+    if (!options.depthTest) gl.disable(gl.DEPTH_TEST);
 }
 
 /**
- * Upload material data to the current shader program.
+ * Shadow matrix of lights[i] for the eye coordinates of the active viewport.
  */
-function uploadMaterialUniforms(material) {
-    const prefix = 'u_material';
+function getShadowMatrix(i) {
+    if (!viewFromMainCamera) return shadowMatrices[i];
+    return mult(shadowMatrices[i], inverse(viewFromMainCamera));
+}
+
+/* ============================================================
+   PICKING
+   ============================================================ */
+
+/**
+ * (Re)create the offscreen ID buffer when the canvas size changes.
+ */
+function ensurePickBuffer(width, height) {
+    if (pickBuffer && pickBuffer.width === width && pickBuffer.height === height) return;
+
+    if (pickBuffer) {
+        gl.deleteFramebuffer(pickBuffer.framebuffer);
+        gl.deleteRenderbuffer(pickBuffer.color);
+        gl.deleteRenderbuffer(pickBuffer.depth);
+    }
+
+    const color = gl.createRenderbuffer();
+    gl.bindRenderbuffer(gl.RENDERBUFFER, color);
+    gl.renderbufferStorage(gl.RENDERBUFFER, gl.RGBA8, width, height);
+
+    const depth = gl.createRenderbuffer();
+    gl.bindRenderbuffer(gl.RENDERBUFFER, depth);
+    gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_COMPONENT24, width, height);
+
+    const framebuffer = gl.createFramebuffer();
+    gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+    gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.RENDERBUFFER, color);
+    gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.RENDERBUFFER, depth);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+    pickBuffer = { framebuffer, color, depth, width, height };
+}
+
+/**
+ * Canvas pixel under the mouse, with the origin at the bottom-left
+ * corner (as in WebGL), or null when the mouse is outside the canvas.
+ */
+function canvasPixel(canvas, clientX, clientY) {
+    const rect = canvas.getBoundingClientRect();
+    const x = Math.floor((clientX - rect.left) * canvas.width / rect.width);
+    const y = Math.floor(canvas.height - (clientY - rect.top) * canvas.height / rect.height - 1);
+    if (x < 0 || y < 0 || x >= canvas.width || y >= canvas.height) return null;
+
+    return { x, y };
+}
+
+/**
+ * Render IDs into the ID buffer around pixel (x, y) and return the one
+ * closest to it (0 when there is none). IDs are encoded in RGB and only
+ * the pixels read back are drawn (scissor test).
+ * @param {number} radius : pixels around (x, y) that also count, so that
+ *        thin shapes are easier to hit
+ * @param {function} drawIds : called with draw(mesh, modelMatrix, id)
+ */
+function pickId(x, y, radius, drawIds) {
+    const canvas = gl.canvas;
+    ensurePickBuffer(canvas.width, canvas.height);
+
+    const x0 = Math.max(0, x - radius);
+    const y0 = Math.max(0, y - radius);
+    const w = Math.min(canvas.width, x + radius + 1) - x0;
+    const h = Math.min(canvas.height, y + radius + 1) - y0;
+
+    // Same viewport as the picture the pixel comes from
+    const vp = activeViewport || getMainViewport();
+    gl.bindFramebuffer(gl.FRAMEBUFFER, pickBuffer.framebuffer);
+    gl.viewport(vp.x, canvas.height - vp.y - vp.height, vp.width, vp.height);
+    gl.enable(gl.SCISSOR_TEST);
+    gl.scissor(x0, y0, w, h);
+    gl.enable(gl.DEPTH_TEST);
+    gl.clearColor(0, 0, 0, 0);
+    gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+
+    gl.useProgram(programFlat.program);
+
+    drawIds((mesh, modelMatrix, id) => {
+        programFlat.set('u_color', [(id & 0xff) / 255, ((id >> 8) & 0xff) / 255, ((id >> 16) & 0xff) / 255, 1]);
+        programFlat.set('u_modelViewMatrix', mult(mView, modelMatrix));
+        mesh.draw(gl, programFlat.program, gl.TRIANGLES);
+    });
+
+    const pixels = new Uint8Array(4 * w * h);
+    gl.readPixels(x0, y0, w, h, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
 
-    const toColorArray = (color) => {
-        if (Array.isArray(color)) return color;
-        if (typeof color === 'object' && color.r !== undefined) {
-            return [color.r, color.g, color.b];
+    gl.disable(gl.SCISSOR_TEST);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    gl.clearColor(0.0, 0.0, 0.0, 1.0);
+    if (!options.depthTest) gl.disable(gl.DEPTH_TEST);
+
+    let best = 0;
+    let bestDist = Infinity;
+    for (let py = 0; py < h; py++) {
+        for (let px = 0; px < w; px++) {
+            const k = 4 * (py * w + px);
+            const id = pixels[k] | (pixels[k + 1] << 8) | (pixels[k + 2] << 16);
+            const dist = Math.hypot(x0 + px - x, y0 + py - y);
+            if (id > 0 && dist < bestDist) {
+                best = id;
+                bestDist = dist;
+            }
         }
-        return [0, 0, 0];
-    };
+    }
+    return best;
+}
 
-    const uploadVec3 = (name, value) => {
-        const loc = gl.getUniformLocation(program, `${prefix}.${name}`);
-        if (loc) gl.uniform3fv(loc, toColorArray(value));
-    };
+/**
+ * Scene graph node under the mouse, or null.
+ * Every object is drawn with its index + 1 as ID.
+ */
+function pickNode(canvas, clientX, clientY) {
+    const pixel = canvasPixel(canvas, clientX, clientY);
+    if (!pixel) return null;
 
-    const uploadFloat = (name, value) => {
-        const loc = gl.getUniformLocation(program, `${prefix}.${name}`);
-        if (loc) gl.uniform1f(loc, value);
-    };
+    const objects = getSceneObjects();
+    const id = pickId(pixel.x, pixel.y, 0, (draw) => {
+        objects.forEach((obj, i) => draw(obj.object, obj.worldMatrix, i + 1));
+    });
+
+    return id > 0 ? objects[id - 1] || null : null;
+}
+
+/**
+ * Select a node (null clears the selection) and open its folders in the GUI.
+ */
+function selectNode(node) {
+    if (selectedNode && nodeFolders.has(selectedNode)) {
+        nodeFolders.get(selectedNode).close();
+    }
+
+    selectedNode = node;
+    selectedLight = null;
+    if (!node || !nodeFolders.has(node)) return;
+
+    const folder = nodeFolders.get(node);
+    for (let f = folder; f; f = f.parent) {
+        f.open();
+    }
+    if (materialFolders.has(node)) materialFolders.get(node).open();
+}
 
-    uploadVec3('Ka', material.Ka);
-    uploadVec3('Kd', material.Kd);
-    uploadVec3('Ks', material.Ks);
-    uploadFloat('shininess', material.shininess);
+/**
+ * Tint the selected object (drawn again on top of itself, blended).
+ */
+function drawSelectionHighlight() {
+    if (!selectedNode || !selectedNode.object) return;
+
+    gl.useProgram(programFlat.program);
+    programFlat.set('u_modelViewMatrix', mult(mView, selectedNode.worldMatrix));
+    programFlat.set('u_color', HIGHLIGHT_COLOR);
+
+    gl.enable(gl.BLEND);
+    gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+    gl.depthFunc(gl.LEQUAL);
+    gl.depthMask(false);
+    gl.enable(gl.POLYGON_OFFSET_FILL);
+    gl.polygonOffset(-1, -1);
+
+    selectedNode.object.draw(gl, programFlat.program, gl.TRIANGLES);
+
+    gl.disable(gl.POLYGON_OFFSET_FILL);
+    gl.depthMask(true);
+    gl.depthFunc(gl.LESS);
+    gl.disable(gl.BLEND);
 }
 
 /* ============================================================
-   SPOTLIGHT CIRCLE
+   GIZMO
    ============================================================ */
 
 /**
- * Initialize spotlight circle geometry (unit circle on XZ plane).
+ * Edit a light with the gizmo (lights attached to a node edit the node).
  */
-function initSpotlightCircle(gl) {
-    const segments = 32;
-    const points = [];
-    const indices = [];
+function selectLight(light) {
+    selectNode(light.node || null);
+    if (!light.node) selectedLight = light;
+}
+
+/**
+ * Where the gizmo is and what its axes mean for the current selection:
+ * { origin, axes, units, target } or null when there is nothing to edit.
+ * axes are unit world vectors along the edited coordinates and units the
+ * world length of one unit of each coordinate.
+ *
+ * Nodes are translated and rotated along the axes of their parent (the
+ * space of their translation) and scaled along their own axes. Lights are
+ * edited in the space of their sliders (see options.lightCoords).
+ */
+function getGizmoFrame() {
+    const mode = gizmoOptions.mode;
+
+    if (selectedNode && selectedNode.parent) {
+        const m = (mode === 'Scale') ? selectedNode.worldMatrix : selectedNode.parent.worldMatrix;
+        const columns = [0, 1, 2].map((c) => vec3(m[0][c], m[1][c], m[2][c]));
+        const w = selectedNode.worldMatrix;
+
+        return {
+            origin: vec3(w[0][3], w[1][3], w[2][3]),
+            axes: columns.map((c) => normalize(c)),
+            units: columns.map((c) => length(c)),
+            target: selectedNode
+        };
+    }
+
+    if (selectedLight && lights.includes(selectedLight) && mode !== 'Scale') {
+        // Spotlights in camera space are always at the camera
+        if (options.lightCoords === 'Camera' && selectedLight.type === 2) return null;
 
-    // Center vertex
-    points.push(0, 0, 0);
+        let axes = [vec3(1, 0, 0), vec3(0, 1, 0), vec3(0, 0, 1)];
+        if (options.lightCoords === 'Camera') {
+            const basis = computeCameraBasis();
+            axes = [basis.right, basis.up, scale(-1, basis.forward)];
+        }
 
-    // Circle vertices
-    for (let i = 0; i <= segments; i++) {
-        const angle = (i / segments) * Math.PI * 2;
-        points.push(Math.cos(angle), 0, Math.sin(angle));
+        return {
+            origin: getLightWorldSpace(selectedLight).posWorld,
+            axes,
+            units: [1, 1, 1],
+            target: selectedLight
+        };
     }
 
-    // Triangle fan indices
-    for (let i = 1; i <= segments; i++) {
-        indices.push(0, i, i + 1);
+    return null;
+}
+
+// Gizmo handles of the current mode
+function getGizmoHandles() {
+    return gizmo[gizmoOptions.mode.toLowerCase()];
+}
+
+// World size of the gizmo, so that it keeps the same size on screen
+function getGizmoSize(origin) {
+    const cam = (activeViewport || getMainViewport()).camera;
+    if (cam.projection === 'Orthographic') {
+        return cam.orthoSize * 2 * GIZMO_SCREEN_SIZE;
     }
-    indices.push(0, segments, 1);
 
-    // VAO
-    spotlightCircleVAO = gl.createVertexArray();
-    gl.bindVertexArray(spotlightCircleVAO);
+    const distance = length(subtract(origin, cam.eye));
+    return distance * Math.tan(cam.fovy * Math.PI / 360) * 2 * GIZMO_SCREEN_SIZE;
+}
+
+function getMouseRay(canvas, clientX, clientY) {
+    const rect = getViewportRect(canvas);
+    return GIZMO.screenRay(clientX - rect.left, clientY - rect.top, rect.width, rect.height, mView, mProjection);
+}
+
+/**
+ * Draw the handles of the current mode on top of the scene.
+ */
+function drawGizmo() {
+    const frame = getGizmoFrame();
+    if (!frame) return;
+
+    const model = GIZMO.gizmoMatrix(frame.origin, frame.axes, getGizmoSize(frame.origin));
 
-    // Vertex buffer
-    const pointsBuffer = gl.createBuffer();
-    gl.bindBuffer(gl.ARRAY_BUFFER, pointsBuffer);
-    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(points), gl.STATIC_DRAW);
+    gl.useProgram(programFlat.program);
 
-    const a_position = 0; // attribute location 0
-    gl.vertexAttribPointer(a_position, 3, gl.FLOAT, false, 0, 0);
-    gl.enableVertexAttribArray(a_position);
+    gl.disable(gl.DEPTH_TEST);
 
-    // Index buffer
-    spotlightCircleBuffer = gl.createBuffer();
-    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, spotlightCircleBuffer);
-    gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, new Uint16Array(indices), gl.STATIC_DRAW);
+    for (const handle of getGizmoHandles()) {
+        const active = gizmoDrag && gizmoDrag.handle === handle;
+        const color = active ? GIZMO.GIZMO_ACTIVE_COLOR : GIZMO.GIZMO_AXIS_COLORS[handle.axis < 0 ? 3 : handle.axis];
+        programFlat.set('u_color', color);
 
-    gl.bindVertexArray(null);
+        for (const part of handle.parts) {
+            programFlat.set('u_modelViewMatrix', mult(mView, mult(model, part.matrix)));
+            part.mesh.draw(gl, programFlat.program, gl.TRIANGLES);
+        }
+    }
+
+    if (options.depthTest) gl.enable(gl.DEPTH_TEST);
+}
+
+/**
+ * Start dragging the gizmo handle under the mouse, if any.
+ * @returns {boolean} true when a handle was hit
+ */
+function startGizmoDrag(canvas, clientX, clientY) {
+    const frame = getGizmoFrame();
+    const pixel = canvasPixel(canvas, clientX, clientY);
+    if (!frame || !pixel) return false;
+
+    const model = GIZMO.gizmoMatrix(frame.origin, frame.axes, getGizmoSize(frame.origin));
+    const handles = getGizmoHandles();
 
-    spotlightCircle = {
-        indices: indices.length,
-        points: points.length / 3
+    const id = pickId(pixel.x, pixel.y, GIZMO_PICK_RADIUS, (draw) => {
+        handles.forEach((handle, i) => {
+            handle.parts.forEach((part) => draw(part.mesh, mult(model, part.matrix), i + 1));
+        });
+    });
+    if (id === 0) return false;
+
+    const handle = handles[id - 1];
+    const target = frame.target;
+    const ray = getMouseRay(canvas, clientX, clientY);
+
+    gizmoDrag = {
+        handle,
+        mode: gizmoOptions.mode,
+        frame,
+        size: getGizmoSize(frame.origin),
+        startX: clientX,
+        startY: clientY,
+        start: {
+            position: [...(target.translation || target.position)],
+            rotation: target.rotation ? [...target.rotation] : null,
+            axis: target.axis ? [...target.axis] : null,
+            scale: target.scale ? [...target.scale] : null
+        },
+        startT: handle.axis >= 0 ? GIZMO.closestPointOnAxis(ray, frame.origin, frame.axes[handle.axis]) : null,
+        startHit: handle.axis >= 0 ? GIZMO.intersectPlane(ray, frame.origin, frame.axes[handle.axis]) : null
     };
+    return true;
+}
+
+/**
+ * Apply the drag to the selected node or light.
+ */
+function updateGizmoDrag(canvas, clientX, clientY) {
+    const { handle, mode, frame, start } = gizmoDrag;
+    const target = frame.target;
+    const k = handle.axis;
+    const ray = getMouseRay(canvas, clientX, clientY);
+
+    if (mode === 'Translate') {
+        const t = GIZMO.closestPointOnAxis(ray, frame.origin, frame.axes[k]);
+        if (t === null || gizmoDrag.startT === null) return;
+
+        const position = target.translation || target.position;
+        position[k] = start.position[k] + (t - gizmoDrag.startT) / frame.units[k];
+    } else if (mode === 'Rotate') {
+        const hit = GIZMO.intersectPlane(ray, frame.origin, frame.axes[k]);
+        if (!hit || !gizmoDrag.startHit) return;
+
+        const v0 = subtract(gizmoDrag.startHit, frame.origin);
+        const v1 = subtract(hit, frame.origin);
+        const angle = Math.atan2(dot(cross(v0, v1), frame.axes[k]), dot(v0, v1)) * 180 / Math.PI;
+
+        const unitAxis = [0, 1, 2].map((i) => (i === k ? 1 : 0));
+        const R = rotate(angle, unitAxis);
+
+        if (target.rotation) {
+            const rotation = GIZMO.eulerFromMatrix(mult(R, GIZMO.eulerMatrix(start.rotation)));
+            for (let i = 0; i < 3; i++) target.rotation[i] = rotation[i];
+        } else {
+            const axis = mult(R, vec4(start.axis[0], start.axis[1], start.axis[2], 0));
+            const n = normalize(vec3(axis[0], axis[1], axis[2]));
+            for (let i = 0; i < 3; i++) target.axis[i] = n[i];
+        }
+    } else if (mode === 'Scale') {
+        let factor;
+        if (k >= 0) {
+            const t = GIZMO.closestPointOnAxis(ray, frame.origin, frame.axes[k]);
+            if (t === null || gizmoDrag.startT === null) return;
+            factor = 1 + (t - gizmoDrag.startT) / gizmoDrag.size;
+        } else {
+            // Uniform: dragging right/up grows the object
+            factor = 1 + ((clientX - gizmoDrag.startX) - (clientY - gizmoDrag.startY)) / 100;
+        }
+        factor = Math.max(factor, 0.01);
+
+        for (let i = 0; i < 3; i++) {
+            if (k < 0 || i === k) target.scale[i] = Math.max(start.scale[i] * factor, 0.01);
+        }
+    }
+
+    invalidateLights();
+
+    // Refresh the sliders of the dragged node or light only
+    const folder = target === selectedNode ? nodeFolders.get(target) : lightFolders[lights.indexOf(target)];
+    if (folder) folder.updateDisplay();
 }
 
+/* ============================================================
+   SPOTLIGHT FOOTPRINTS
+   ============================================================ */
+
+// Outlines of the outer cone (aperture) and of the inner cone, where the falloff starts (RGBA)
+const FOOTPRINT_OUTER_COLOR = [0.65, 0.55, 0.25, 0.9];
+const FOOTPRINT_INNER_COLOR = [1.0, 1.0, 0.8, 0.9];
+
 /**
- * Draw spotlight circle for one light, intersecting with plane y = 0.
+ * Draw the cone outlines of the enabled spotlights where their light lands
+ * on the objects: on surfaces facing the spotlight and not in its shadow
+ * (drawn again on top of themselves, like the selection highlight).
+ * @param {Array} objects : scene objects in the view
  */
-function drawSpotlightCircle(gl, light) {
-    if (light.type !== 2 || !light.enabled) return; // only for spotlights
+function drawSpotlightFootprints(objects) {
+    // Index in lights: the shadow data comes from the Lights block
+    const spots = [];
+    lights.slice(0, MAX_LIGHTS).forEach((light, index) => {
+        if (light.enabled && light.type === 2) spots.push({ light, index });
+    });
+    if (spots.length === 0) return;
+
+    gl.useProgram(programFootprint.program);
+    programFootprint.set('u_n_spots', spots.length);
+    programFootprint.set('u_outer_color', FOOTPRINT_OUTER_COLOR);
+    programFootprint.set('u_inner_color', FOOTPRINT_INNER_COLOR);
+
+    spots.forEach(({ light, index }, i) => {
+        const { posEye, axisEye } = getLightCameraSpace(light);
+        const halfAngle = (aperture) => (aperture / 2) * Math.PI / 180.0;
+
+        programFootprint.set(`u_spot_light[${i}]`, index);
+        programFootprint.set(`u_spot_position[${i}]`, [posEye[0], posEye[1], posEye[2]]);
+        programFootprint.set(`u_spot_axis[${i}]`, normalize(axisEye));
+        programFootprint.set(`u_spot_outer[${i}]`, halfAngle(light.aperture));
+        programFootprint.set(`u_spot_inner[${i}]`, halfAngle(Math.min(light.innerAperture, light.aperture)));
+    });
+
+    gl.enable(gl.BLEND);
+    gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+    gl.depthFunc(gl.LEQUAL);
+    gl.depthMask(false);
+    gl.enable(gl.POLYGON_OFFSET_FILL);
+    gl.polygonOffset(-1, -1);
+
+    for (const obj of objects) {
+        const modelView = mult(mView, obj.worldMatrix);
+        programFootprint.set('u_modelViewMatrix', modelView);
+        programFootprint.set('u_normalMatrix', normalMatrix(modelView, true));
+        obj.object.draw(gl, programFootprint.program, gl.TRIANGLES);
+    }
+
+    gl.disable(gl.POLYGON_OFFSET_FILL);
+    gl.depthMask(true);
+    gl.depthFunc(gl.LESS);
+    gl.disable(gl.BLEND);
+}
+
+/* ============================================================
+   LIGHT HELPERS
+   ============================================================ */
 
-    const lw = getLightWorldSpace(light);
-    const lightPosWorld = lw.posWorld;
-    const axisWorld     = lw.axisWorld;
+const LIGHT_HELPER_SIZE = 1.0;          // size of the point/directional helpers
+const SPOT_HELPER_LENGTH = 2.0;         // length of the spotlight cones
+const DIRECTIONAL_HELPER_DISTANCE = 6;  // arrows start this far from sceneTarget
 
-    // Normalize axis
-    const lightDirWorld = normalize(axisWorld);
+/**
+ * Unlit helpers in the diffuse color of each enabled light: a sphere for
+ * point lights, an arrow for directional lights and a wire cone (sized by
+ * the aperture) for spotlights.
+ */
+function drawLightHelpers() {
+    if (!options.lightHelpers) return;
 
-    // Ray-plane intersection (plane y = 0)
-    if (lightPosWorld[1] > 0.0 && lightDirWorld[1] < 0.0) {
-        const t = -lightPosWorld[1] / lightDirWorld[1];
+    gl.useProgram(programFlat.program);
 
-        const groundPos = vec3(
-            lightPosWorld[0] + lightDirWorld[0] * t,
-            0.01,   // small offset above table to avoid z-fighting
-            lightPosWorld[2] + lightDirWorld[2] * t
-        );
+    const count = Math.min(lights.length, MAX_LIGHTS);
+    for (let i = 0; i < count; i++) {
+        const light = lights[i];
+        if (!light.enabled) continue;
+
+        // Spotlights in camera space are always at the (main) camera
+        if (light.type === 2 && !light.node && options.lightCoords === 'Camera' && !viewFromMainCamera) continue;
+
+        // Drawn in camera coordinates, where the shaders do the lighting
+        const { posEye, axisEye } = getLightCameraSpace(light);
+        const pos = vec3(posEye[0], posEye[1], posEye[2]);
+
+        let parts, model;
+        if (light.type === 1) {
+            // Directional: light travels along "position", arrow pointing at the objects
+            const dir = normalize(pos);
+            const c4 = mult(mView, vec4(sceneTarget[0], sceneTarget[1], sceneTarget[2], 1));
+            const start = subtract(vec3(c4[0], c4[1], c4[2]), scale(DIRECTIONAL_HELPER_DISTANCE, dir));
+            parts = lightHelpers.directional;
+            model = LIGHT_HELPERS.lightHelperMatrix(start, dir, LIGHT_HELPER_SIZE);
+        } else if (light.type === 2) {
+            const radius = Math.tan((Math.min(light.aperture, 179) / 2) * Math.PI / 180.0);
+            parts = lightHelpers.spot;
+            model = mult(LIGHT_HELPERS.lightHelperMatrix(pos, axisEye, SPOT_HELPER_LENGTH),
+                         scalem(radius, 1, radius));
+        } else {
+            parts = lightHelpers.point;
+            model = LIGHT_HELPERS.lightHelperMatrix(pos, vec3(0, -1, 0), LIGHT_HELPER_SIZE);
+        }
 
-        const distance = Math.abs(t);
-        const radius = distance * Math.tan((light.aperture / 2) * Math.PI / 180.0);
+        const [r, g, b] = colorToArray(light.diffuse);
+        programFlat.set('u_color', [r / 255, g / 255, b / 255, 1.0]);
 
-        const circleTransform = mult(
-            translate(groundPos[0], groundPos[1], groundPos[2]),
-            scalem(radius, 1, radius)
-        );
+        for (const part of parts) {
+            programFlat.set('u_modelViewMatrix', mult(model, part.matrix));
+            part.mesh.draw(gl, programFlat.program, part.wire ? gl.LINES : gl.TRIANGLES);
+        }
+    }
+}
 
-        uploadModelView(circleTransform);
+/* ============================================================
+   FRUSTUM CULLING
+   ============================================================ */
 
-        const circleMaterial = {
-            Ka: [255, 255, 200],
-            Kd: [255, 255, 200],
-            Ks: [255, 255, 255],
-            shininess: 1
-        };
-        uploadMaterialUniforms(circleMaterial);
+/**
+ * Scene objects whose world bounds reach the view volume of the active
+ * viewport (all of them with options.frustumCulling off), counted in
+ * renderStats. Shadows are still cast by the objects out of view.
+ */
+function getVisibleObjects() {
+    const objects = getSceneObjects();
+    let visible = objects;
 
-        gl.bindVertexArray(spotlightCircleVAO);
-        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, spotlightCircleBuffer);
-        gl.drawElements(gl.TRIANGLES, spotlightCircle.indices, gl.UNSIGNED_SHORT, 0);
-        gl.bindVertexArray(null);
+    if (options.frustumCulling) {
+        const planes = FRUSTUM.frustumPlanes(mult(mProjection, mView));
+        visible = objects.filter((obj) => FRUSTUM.boundsInFrustum(planes, obj.worldBounds));
     }
+
+    renderStats.drawn += visible.length;
+    renderStats.culled += objects.length - visible.length;
+    for (const obj of visible) renderStats.triangles += obj.object.triangleCount;
+
+    return visible;
 }
 
 /* ============================================================
    RENDER LOOP
    ============================================================ */
 
+/**
+ * Accumulate one frame: dt (seconds since the previous one) and cpu, the
+ * milliseconds spent drawing it. The averages change once per window.
+ */
+function recordFrameTime(dt, cpu) {
+    if (dt <= 0) return;    // first frame
+
+    frameTimes.frames++;
+    frameTimes.elapsed += dt;
+    frameTimes.cpu += cpu;
+    if (frameTimes.elapsed < FRAME_TIME_WINDOW) return;
+
+    frameTimes.frameMs = 1000 * frameTimes.elapsed / frameTimes.frames;
+    frameTimes.cpuMs = frameTimes.cpu / frameTimes.frames;
+    frameTimes.frames = 0;
+    frameTimes.elapsed = 0;
+    frameTimes.cpu = 0;
+}
+
+// Show the counts of the last frame and the frame times (hidden with options.stats off)
+function updateStatsOverlay() {
+    if (!statsElement) return;
+
+    statsElement.style.display = options.stats ? '' : 'none';
+    if (!options.stats) return;
+
+    const viewports = getViewports().length;
+    statsElement.textContent =
+        `objects: ${renderStats.drawn} drawn, ${renderStats.culled} culled` +
+        (viewports > 1 ? ` (${viewports} views)` : '') +
+        ` | triangles: ${renderStats.triangles.toLocaleString()}` +
+        ` | frame: ${frameTimes.frameMs.toFixed(1)} ms (draw ${frameTimes.cpuMs.toFixed(2)} ms)`;
+}
+
 function render(timestamp) {
     // Schedule next frame
     requestAnimationFrame(render);
@@ -881,25 +3487,74 @@ function render(timestamp) {
     const dt = lastFrameTime ? (timestamp - lastFrameTime) / 1000.0 : 0;
     lastFrameTime = timestamp;
 
-    // Update camera from keyboard
-    updateCameraFromInput(dt);
+    // Update camera from path playback, a bookmark transition or the keyboard
+    if (cameraPath.playing) updateCameraPath(timestamp);
+    else if (cameraTransition) updateCameraTransition(dt);
+    else updateCameraFromInput(dt);
+    recordCameraPath(dt);
+
+    const start = performance.now();
+    drawFrame();
+    recordFrameTime(dt, performance.now() - start);
+}
+
+/**
+ * Draw the scene in all the viewports of the layout.
+ */
+function drawFrame() {
+    // Propagate the node transforms (objects and lights attached to nodes)
+    SG.updateWorldMatrices(sceneRoot);
+
+    renderStats.drawn = 0;
+    renderStats.culled = 0;
+    renderStats.triangles = 0;
+
+    // Shadow maps must be ready before the lights are uploaded: rendered
+    // once for all the viewports, from the main camera
+    useViewport(getMainViewport());
+    renderShadowMaps();
+
+    const viewports = getViewports();
+    if (viewports.length > 1) {
+        // The gaps between the viewports
+        gl.clearColor(0.3, 0.3, 0.3, 1.0);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+        gl.clearColor(0.0, 0.0, 0.0, 1.0);
+    }
+
+    for (const vp of viewports) {
+        renderViewport(vp);
+    }
+
+    updateViewportLabels();
+    updateStatsOverlay();
+}
+
+/**
+ * Draw the scene seen by the camera of one viewport.
+ */
+function renderViewport(vp) {
+    useViewport(vp, true);
+    gl.enable(gl.SCISSOR_TEST);
 
-    // Clear screen
+    // Clear the viewport
     gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
 
     // Use current shader program
-    gl.useProgram(program);
+    gl.useProgram(program.program);
 
-    // Upload projection and lights 
-    uploadProjection();
+    // Lights (the camera block was set by useViewport)
     uploadLights();
 
+    const visibleObjects = getVisibleObjects();
+
     // Sort objects back-to-front (optional, helps with some effects)
-    const sortedObjects = sceneObjects.map((obj) => {
-        const pos = vec3(obj.transform[0][3], obj.transform[1][3], obj.transform[2][3]);
-        const dx = pos[0] - camera.eye[0];
-        const dy = pos[1] - camera.eye[1];
-        const dz = pos[2] - camera.eye[2];
+    const eye = vp.camera.eye;
+    const sortedObjects = visibleObjects.map((obj) => {
+        const pos = obj.worldBounds.center;
+        const dx = pos[0] - eye[0];
+        const dy = pos[1] - eye[1];
+        const dz = pos[2] - eye[2];
         const dist = Math.sqrt(dx * dx + dy * dy + dz * dz);
         return { obj, dist };
     });
@@ -908,32 +3563,45 @@ function render(timestamp) {
     // Draw all scene objects
     for (let i = 0; i < sortedObjects.length; i++) {
         const { obj } = sortedObjects[i];
-        uploadModelView(obj.transform);
+        uploadModelView(obj.worldMatrix);
         uploadMaterialUniforms(obj.material);
-        obj.object.draw(gl, program, gl.TRIANGLES);
-    }
 
-    // Draw spotlight circles
-    if (spotlightCircle) {
-        const cameraAboveTable = camera.eye[1] > 0.0;
-        if (options.lightCoords === 'World' && !cameraAboveTable) {
-            // Skip drawing spotlight circles when looking from below.
+        if (obj.materials) {
+            // One material per group (falls back to the object material)
+            obj.object.draw(gl, program.program, gl.TRIANGLES, (m) => uploadMaterialUniforms(m || obj.material));
         } else {
-            for (let i = 0; i < lights.length; i++) {
-                if (lights[i]) {
-                    drawSpotlightCircle(gl, lights[i]);
-                }
-            }
+            obj.object.draw(gl, program.program, gl.TRIANGLES);
         }
     }
-}
 
-// Load Shaders
-const shaderUrls = ['phong.vert', 'phong.frag', 'gouraud.vert', 'gouraud.frag'];
+    // Outline of the spotlight cones on the objects
+    drawSpotlightFootprints(visibleObjects);
+
+    drawLightHelpers();
+
+    // Selected object and its gizmo on top of everything else
+    drawSelectionHighlight();
+    drawGizmo();
+
+    gl.disable(gl.SCISSOR_TEST);
+}
 
-loadShadersFromURLS(shaderUrls)
-    .then((shaders) => {
-        setup(shaders);
+// Load Shaders and models
+const shaderUrls = ['phong.vert', 'phong.frag', 'gouraud.vert', 'gouraud.frag',
+                    'shadow.vert', 'shadow.frag', 'flat.vert', 'flat.frag',
+                    'footprint.vert', 'footprint.frag'];
+const modelUrl = 'models/table.obj';
+
+// The table is optional: without it the scene is set up all the same
+const modelPromise = OBJ.fetchModel(modelUrl).catch((err) => {
+    console.error(`Failed to load ${modelUrl}, the table is left out:`, err);
+    return null;
+});
+
+Promise.all([loadShadersFromURLS(shaderUrls), modelPromise])
+    .then(([shaders, model]) => {
+        setup(shaders, model);
+        loadSceneFromURL();
     })
     .catch((err) => {
         console.error('Failed to load shaders:', err);
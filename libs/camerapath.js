@@ -0,0 +1,47 @@
+import { vec3, normalize } from "./MV.js";
+export { catmullRom, sampleCameraPath };
+
+
+/**
+ * Camera fly-throughs: a list of keyframes { eye, at, up, fovy }, evenly
+ * spaced in time, interpolated with a Catmull-Rom spline (it goes through
+ * every keyframe with a continuous velocity).
+ */
+
+/**
+ * Catmull-Rom interpolation between p1 (t = 0) and p2 (t = 1), with p0 and
+ * p3 the neighbouring points. Works on numbers and on vectors.
+ */
+function catmullRom(p0, p1, p2, p3, t) {
+    const t2 = t * t;
+    const t3 = t2 * t;
+    const blend = (a, b, c, d) => 0.5 * (2 * b + (c - a) * t + (2 * a - 5 * b + 4 * c - d) * t2 + (3 * b - a - 3 * c + d) * t3);
+
+    if (typeof p1 === 'number') return blend(p0, p1, p2, p3);
+    return p1.map((_, i) => blend(p0[i], p1[i], p2[i], p3[i]));
+}
+
+/**
+ * View of the camera at u (0 = first keyframe, 1 = last one).
+ * @param {Array} keys : at least one keyframe { eye, at, up, fovy }
+ * @returns {Object} { eye, at, up, fovy }
+ */
+function sampleCameraPath(keys, u) {
+    const last = keys.length - 1;
+    const x = Math.max(0, Math.min(1, u)) * last;
+    const i = Math.min(Math.floor(x), Math.max(last - 1, 0));
+    const t = x - i;
+
+    // The end keyframes are repeated as their own neighbours
+    const key = (j) => keys[Math.max(0, Math.min(last, j))];
+    const k0 = key(i - 1), k1 = key(i), k2 = key(i + 1), k3 = key(i + 2);
+    const spline = (name) => catmullRom(k0[name], k1[name], k2[name], k3[name], t);
+
+    const up = spline('up');
+    return {
+        eye: vec3(...spline('eye')),
+        at: vec3(...spline('at')),
+        up: normalize(vec3(up[0], up[1], up[2])),
+        fovy: spline('fovy')
+    };
+}
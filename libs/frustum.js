@@ -0,0 +1,48 @@
+export { frustumPlanes, boundsInFrustum };
+
+
+/**
+ * View frustum culling: the six planes of the view volume of a
+ * projection * view matrix, and the test of world space bounds
+ * ({ min, max, center, radius }, see transformBounds in objects/mesh.js)
+ * against them.
+ *
+ *      const planes = frustumPlanes(mult(mProjection, mView));
+ *      if (boundsInFrustum(planes, node.worldBounds)) draw(node);
+ */
+
+/**
+ * Planes [a, b, c, d] of the view volume (a x + b y + c z + d >= 0 inside,
+ * (a, b, c) of unit length): left, right, bottom, top, near and far.
+ * @param {mat4} m : MV.js projection * view matrix (world -> clip)
+ */
+function frustumPlanes(m) {
+    // -w <= x, y, z <= w in clip coordinates
+    const plane = (row, sign) => {
+        const p = [0, 1, 2, 3].map((j) => m[3][j] + sign * m[row][j]);
+        const n = Math.hypot(p[0], p[1], p[2]);
+        return p.map((v) => v / n);
+    };
+
+    return [plane(0, 1), plane(0, -1), plane(1, 1), plane(1, -1), plane(2, 1), plane(2, -1)];
+}
+
+/**
+ * False when the bounds are surely outside the view volume. Conservative:
+ * boxes near the corners of the frustum may be kept even if outside.
+ */
+function boundsInFrustum(planes, bounds) {
+    const { min, max, center, radius } = bounds;
+
+    for (const [a, b, c, d] of planes) {
+        // The sphere is cheaper, the box tighter
+        if (a * center[0] + b * center[1] + c * center[2] + d < -radius) return false;
+
+        // Corner of the box furthest along the plane normal
+        const x = a >= 0 ? max[0] : min[0];
+        const y = b >= 0 ? max[1] : min[1];
+        const z = c >= 0 ? max[2] : min[2];
+        if (a * x + b * y + c * z + d < 0) return false;
+    }
+    return true;
+}
@@ -0,0 +1,153 @@
+import { vec3, vec4, mat4, mult, translate, scalem, rotateX, rotateY, rotateZ, inverse, subtract, add, scale, dot, normalize } from "./MV.js";
+import { createCube } from "./objects/cube.js";
+import { createPyramid } from "./objects/pyramid.js";
+import { createTorus } from "./objects/torus.js";
+export { GIZMO_AXIS_COLORS, GIZMO_ACTIVE_COLOR, createGizmo, gizmoMatrix, screenRay, closestPointOnAxis, intersectPlane, eulerMatrix, eulerFromMatrix };
+
+
+/**
+ * Manipulator gizmo: handles for the translate, rotate and scale modes and
+ * the ray math needed to drag them.
+ *
+ * Handles are modelled in gizmo space, where the X, Y and Z axes are the
+ * axes being manipulated and 1 unit is the gizmo size; gizmoMatrix places
+ * them in the world.
+ */
+
+const GIZMO_AXIS_COLORS = [
+    [0.9, 0.2, 0.2, 1.0],   // X
+    [0.2, 0.9, 0.2, 1.0],   // Y
+    [0.2, 0.4, 1.0, 1.0],   // Z
+    [0.8, 0.8, 0.8, 1.0]    // all axes (uniform scale)
+];
+const GIZMO_ACTIVE_COLOR = [1.0, 0.9, 0.1, 1.0];
+
+// Rotations taking the X axis to the X, Y and Z axes
+const axisFrames = [mat4(), rotateZ(90), rotateY(-90)];
+
+/**
+ * @returns {Object} { translate, rotate, scale }: lists of handles
+ *          { axis (0, 1, 2 or -1 for all), parts: [{ mesh, matrix }] }
+ */
+function createGizmo(gl) {
+    const box = createCube(gl);
+    const tip = createPyramid(gl);
+    const ring = createTorus(gl, { ppd: 8, disks: 64, radius: 1, diskRadius: 0.02 });
+
+    // Parts of the X handle, the others are rotated copies
+    const arrow = [
+        { mesh: box, matrix: mult(translate(0.45, 0, 0), scalem(0.9, 0.03, 0.03)) },
+        { mesh: tip, matrix: mult(translate(1.0, 0, 0), mult(rotateZ(-90), scalem(0.1, 0.2, 0.1))) }
+    ];
+    const circle = [
+        { mesh: ring, matrix: rotateZ(-90) }
+    ];
+    const scaleHandle = [
+        { mesh: box, matrix: mult(translate(0.4, 0, 0), scalem(0.8, 0.03, 0.03)) },
+        { mesh: box, matrix: mult(translate(0.9, 0, 0), scalem(0.12, 0.12, 0.12)) }
+    ];
+
+    const perAxis = (parts) => axisFrames.map((frame, axis) => ({
+        axis,
+        parts: parts.map(({ mesh, matrix }) => ({ mesh, matrix: mult(frame, matrix) }))
+    }));
+
+    return {
+        translate: perAxis(arrow),
+        rotate: perAxis(circle),
+        scale: [
+            ...perAxis(scaleHandle),
+            { axis: -1, parts: [{ mesh: box, matrix: scalem(0.15, 0.15, 0.15) }] }
+        ]
+    };
+}
+
+/**
+ * Gizmo space -> world: origin, axes (unit world vectors) and size.
+ */
+function gizmoMatrix(origin, axes, size) {
+    const basis = mat4();
+    for (let r = 0; r < 3; r++) {
+        for (let c = 0; c < 3; c++) {
+            basis[r][c] = axes[c][r];
+        }
+    }
+    return mult(translate(origin), mult(basis, scalem(size, size, size)));
+}
+
+/**
+ * World space ray through a canvas pixel.
+ * @returns {Object} { origin, dir } with dir normalized
+ */
+function screenRay(x, y, width, height, view, projection) {
+    const inv = inverse(mult(projection, view));
+    const ndcX = 2 * x / width - 1;
+    const ndcY = 1 - 2 * y / height;
+
+    const unproject = (z) => {
+        const p = mult(inv, vec4(ndcX, ndcY, z, 1));
+        return vec3(p[0] / p[3], p[1] / p[3], p[2] / p[3]);
+    };
+
+    const near = unproject(-1);
+    const far = unproject(1);
+    return { origin: near, dir: normalize(subtract(far, near)) };
+}
+
+/**
+ * Parameter t of the point origin + t * axis closest to the ray,
+ * or null when the ray is parallel to the axis.
+ */
+function closestPointOnAxis(ray, origin, axis) {
+    const w0 = subtract(origin, ray.origin);
+    const a = dot(axis, axis);
+    const b = dot(axis, ray.dir);
+    const c = dot(ray.dir, ray.dir);
+    const d = dot(axis, w0);
+    const e = dot(ray.dir, w0);
+
+    const denom = a * c - b * b;
+    if (Math.abs(denom) < 1e-6) return null;
+
+    return (b * e - c * d) / denom;
+}
+
+/**
+ * Intersection of the ray with the plane through point with the given
+ * normal, or null when there is none (parallel or behind the ray).
+ */
+function intersectPlane(ray, point, normal) {
+    const denom = dot(normal, ray.dir);
+    if (Math.abs(denom) < 1e-6) return null;
+
+    const t = dot(normal, subtract(point, ray.origin)) / denom;
+    if (t < 0) return null;
+
+    return add(ray.origin, scale(t, ray.dir));
+}
+
+// Rotation matrix of Euler angles (degrees) applied X, then Y, then Z
+function eulerMatrix(angles) {
+    return mult(rotateZ(angles[2]), mult(rotateY(angles[1]), rotateX(angles[0])));
+}
+
+/**
+ * Inverse of eulerMatrix: angles (degrees) of a rotation matrix Rz * Ry * Rx.
+ */
+function eulerFromMatrix(m) {
+    const deg = (rad) => rad * 180 / Math.PI;
+
+    if (Math.abs(m[2][0]) < 1 - 1e-9) {
+        return vec3(
+            deg(Math.atan2(m[2][1], m[2][2])),
+            deg(Math.asin(-m[2][0])),
+            deg(Math.atan2(m[1][0], m[0][0]))
+        );
+    }
+
+    // Gimbal lock (Y = +-90): only X - Z (or X + Z) is defined, keep Z = 0
+    if (m[2][0] < 0) {
+        return vec3(deg(Math.atan2(m[0][1], m[0][2])), 90, 0);
+    }
+    return vec3(deg(Math.atan2(-m[0][1], -m[0][2])), -90, 0);
+}
@@ -0,0 +1,90 @@
+import { vec2, vec3, mat4, mult, translate, scalem, rotateZ, cross, normalize } from "./MV.js";
+import { createMesh } from "./objects/mesh.js";
+import { createCube } from "./objects/cube.js";
+import { createPyramid } from "./objects/pyramid.js";
+import { createSphere } from "./objects/sphere.js";
+export { createLightHelpers, lightHelperMatrix };
+
+
+/**
+ * Helper geometry showing the light sources: a small sphere for point
+ * lights, an arrow for directional lights and a wire cone for spotlights.
+ *
+ * Helpers are modelled in light space, where the light is at the origin and
+ * shines down the -Y axis; lightHelperMatrix places them in the scene.
+ */
+
+const CONE_SEGMENTS = 32;   // points of the base circle
+const CONE_RAYS = 8;        // lines from the apex to the base circle
+
+/**
+ * @returns {Object} { point, directional, spot }: lists of parts
+ *          { mesh, matrix, wire } (wire parts are drawn with gl.LINES).
+ *          The spot cone has length 1 and base radius 1, to be scaled
+ *          by the caller from the aperture.
+ */
+function createLightHelpers(gl) {
+    const ball = createSphere(gl, { lats: 12, lons: 16 });
+    const box = createCube(gl);
+    const tip = createPyramid(gl);
+    const cone = createMesh(gl, _buildWireCone());
+
+    return {
+        point: [
+            { mesh: ball, matrix: scalem(0.25, 0.25, 0.25), wire: false }
+        ],
+        directional: [
+            { mesh: box, matrix: mult(translate(0, -0.4, 0), scalem(0.04, 0.8, 0.04)), wire: false },
+            { mesh: tip, matrix: mult(translate(0, -0.9, 0), mult(rotateZ(180), scalem(0.15, 0.2, 0.15))), wire: false }
+        ],
+        spot: [
+            { mesh: cone, matrix: mat4(), wire: true }
+        ]
+    };
+}
+
+/**
+ * Light space -> scene: light at position, shining along direction.
+ */
+function lightHelperMatrix(position, direction, size) {
+    const y = normalize(vec3(-direction[0], -direction[1], -direction[2]));
+    const ref = Math.abs(y[0]) < 0.9 ? vec3(1, 0, 0) : vec3(0, 0, 1);
+    const x = normalize(cross(y, ref));
+    const z = cross(x, y);
+
+    const basis = mat4();
+    for (let r = 0; r < 3; r++) {
+        basis[r][0] = x[r];
+        basis[r][1] = y[r];
+        basis[r][2] = z[r];
+    }
+    return mult(translate(position[0], position[1], position[2]), mult(basis, scalem(size, size, size)));
+}
+
+// Apex at the origin, base circle of radius 1 at y = -1 (edges only)
+function _buildWireCone() {
+    const data = { points: [], normals: [], texcoords: [], faces: [], edges: [] };
+    const { points, normals, texcoords, edges } = data;
+
+    points.push(vec3(0, 0, 0));
+    for (let i = 0; i < CONE_SEGMENTS; i++) {
+        const angle = (i / CONE_SEGMENTS) * Math.PI * 2;
+        points.push(vec3(Math.cos(angle), -1, Math.sin(angle)));
+    }
+    for (let i = 0; i < points.length; i++) {
+        normals.push(vec3(0, 1, 0));
+        texcoords.push(vec2(0, 0));
+    }
+
+    // Base circle
+    for (let i = 0; i < CONE_SEGMENTS; i++) {
+        edges.push(1 + i, 1 + (i + 1) % CONE_SEGMENTS);
+    }
+
+    // Rays from the apex
+    for (let i = 0; i < CONE_RAYS; i++) {
+        edges.push(0, 1 + i * CONE_SEGMENTS / CONE_RAYS);
+    }
+
+    return data;
+}
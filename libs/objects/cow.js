@@ -3,43 +3,54 @@
  * 
  */
 export {
-    init, draw
+    init, draw, createCow
 }
 
-import { vec3, flatten, add, subtract, normalize } from '../MV.js';
+import { vec2, vec3, add, subtract, normalize } from '../MV.js';
+import { createMesh } from './mesh.js';
 
-import { points, faces } from './cow-data.js';
+import { points as rawPoints, faces } from './cow-data.js';
 
-let points_buffer;
-let normals_buffer;
-let faces_buffer;
-let edges_buffer;
+// Default instance, used by init/draw
+let mesh = null;
 
-const edges = [];
-const normals = [];
-
-let vao;
+/**
+ * Create an independent cow mesh (centered, unit height, see mesh.js).
+ * @param {Object} opts : { mapping } texture coordinates projection, 'spherical' or 'planar'
+ */
+function createCow(gl, { mapping = 'spherical' } = {}) {
+    const data = _build();
+    data.texcoords = _buildTexcoords(data.points, mapping);
+    return createMesh(gl, data);
+}
 
-function init(gl) {
-    _build();
-    _uploadData(gl);
+/**
+ * @param {string} mapping : texture coordinates projection, 'spherical' or 'planar'
+ */
+function init(gl, mapping = 'spherical') {
+    if (mesh) mesh.dispose(gl);
+    mesh = createCow(gl, { mapping });
 }
 
 function _build() {
+    const points = [];
+    const normals = [];
+    const edges = [];
+    const pointNormals = [];
 
-    let xmin = points[0], ymin = points[1], zmin = points[2];
-    let xmax = points[0], ymax = points[1], zmax = points[2];
+    let xmin = rawPoints[0], ymin = rawPoints[1], zmin = rawPoints[2];
+    let xmax = rawPoints[0], ymax = rawPoints[1], zmax = rawPoints[2];
 
-    for (var i = 0; i < points.length; i += 3) {
+    for (let i = 0; i < rawPoints.length; i += 3) {
 
-        xmin = Math.min(xmin, points[i]);
-        xmax = Math.max(xmax, points[i]);
+        xmin = Math.min(xmin, rawPoints[i]);
+        xmax = Math.max(xmax, rawPoints[i]);
 
-        ymin = Math.min(ymin, points[i + 1]);
-        ymax = Math.max(ymax, points[i + 1]);
+        ymin = Math.min(ymin, rawPoints[i + 1]);
+        ymax = Math.max(ymax, rawPoints[i + 1]);
 
-        zmin = Math.min(zmin, points[i + 2]);
-        zmax = Math.max(zmax, points[i + 2]);
+        zmin = Math.min(zmin, rawPoints[i + 2]);
+        zmax = Math.max(zmax, rawPoints[i + 2]);
 
         pointNormals[i / 3] = vec3(0, 0, 0);
     }
@@ -48,29 +59,56 @@ function _build() {
     const ymed = (ymin + ymax) / 2;
     const zmed = (zmin + zmax) / 2;
 
-    for (let i = 0; i < points.length; i += 3) {
-        points[i] = (points[i] - xmed) / (ymax - ymin);
-        points[i + 1] = (points[i + 1] - ymed) / (ymax - ymin);
-        points[i + 2] = (points[i + 2] - zmed) / (ymax - ymin);
+    // The data module is shared: normalized copies go into points
+    for (let i = 0; i < rawPoints.length; i += 3) {
+        points.push(vec3(
+            (rawPoints[i] - xmed) / (ymax - ymin),
+            (rawPoints[i + 1] - ymed) / (ymax - ymin),
+            (rawPoints[i + 2] - zmed) / (ymax - ymin)
+        ));
     }
 
+    const existingEdges = {};
     for (let i = 0; i < faces.length; i += 3) {
-        _calcFaceNormal(faces[i], faces[i + 1], faces[i + 2]);
-        _addEdge(faces[i + 0], faces[i + 1]);
-        _addEdge(faces[i + 1], faces[i + 2]);
-        _addEdge(faces[i + 2], faces[i + 0]);
+        _calcFaceNormal(points, pointNormals, faces[i], faces[i + 1], faces[i + 2]);
+        _addEdge(edges, existingEdges, faces[i + 0], faces[i + 1]);
+        _addEdge(edges, existingEdges, faces[i + 1], faces[i + 2]);
+        _addEdge(edges, existingEdges, faces[i + 2], faces[i + 0]);
     }
 
-    for (let i = 0; i < points.length / 3; i++) {
-        normals.push(normalize(pointNormals[i]));
+    for (let i = 0; i < points.length; i++) {
+        const n = pointNormals[i];
+        // points not used by any face (e.g. the 1-based padding) have no normal
+        normals.push(n[0] || n[1] || n[2] ? normalize(n) : vec3(0, 1, 0));
     }
+
+    return { points, normals, faces, edges };
 }
 
-var pointNormals = {};
-function _calcFaceNormal(i1, i2, i3) {
-    const p1 = vec3(points[i1 * 3], points[i1 * 3 + 1], points[i1 * 3 + 2]);
-    const p2 = vec3(points[i2 * 3], points[i2 * 3 + 1], points[i2 * 3 + 2]);
-    const p3 = vec3(points[i3 * 3], points[i3 * 3 + 1], points[i3 * 3 + 2]);
+// Scanned meshes have no parametrization: project the (already centered)
+// points onto a sphere around the origin, or onto the XY plane.
+// The spherical projection has a seam along the -X axis.
+function _buildTexcoords(points, mapping) {
+    const texcoords = [];
+
+    for (const [x, y, z] of points) {
+        if (mapping == 'planar') {
+            texcoords.push(vec2(x + 0.5, y + 0.5));
+        } else {
+            const r = Math.sqrt(x * x + y * y + z * z) || 1;
+            const u = 0.5 + Math.atan2(z, x) / (2 * Math.PI);
+            const v = 0.5 + Math.asin(y / r) / Math.PI;
+            texcoords.push(vec2(u, v));
+        }
+    }
+
+    return texcoords;
+}
+
+function _calcFaceNormal(points, pointNormals, i1, i2, i3) {
+    const p1 = points[i1];
+    const p2 = points[i2];
+    const p3 = points[i3];
     const u = subtract(p2, p1);
     const v = subtract(p3, p1);
 
@@ -84,8 +122,7 @@ function _calcFaceNormal(i1, i2, i3) {
     pointNormals[i3] = add(pointNormals[i3], normal);
 }
 
-const existingEdges = {};
-function _addEdge(i1, i2) {
+function _addEdge(edges, existingEdges, i1, i2) {
     if (i1 > i2) {
         const aux = i2;
         i2 = i1;
@@ -99,48 +136,6 @@ function _addEdge(i1, i2) {
     }
 }
 
-function _uploadData(gl) {
-
-    vao = gl.createVertexArray();
-    gl.bindVertexArray(vao);
-
-    points_buffer = gl.createBuffer();
-    gl.bindBuffer(gl.ARRAY_BUFFER, points_buffer);
-    gl.bufferData(gl.ARRAY_BUFFER, flatten(points), gl.STATIC_DRAW);
-
-    const vPosition = 0;
-    gl.vertexAttribPointer(vPosition, 3, gl.FLOAT, false, 0, 0);
-    gl.enableVertexAttribArray(vPosition);
-
-    normals_buffer = gl.createBuffer();
-    gl.bindBuffer(gl.ARRAY_BUFFER, normals_buffer);
-    gl.bufferData(gl.ARRAY_BUFFER, flatten(normals), gl.STATIC_DRAW);
-
-    const vNormal = 1;
-    if (vNormal != -1) {
-        gl.enableVertexAttribArray(vNormal);
-        gl.vertexAttribPointer(vNormal, 3, gl.FLOAT, false, 0, 0);
-    }
-
-    gl.bindVertexArray(null);
-
-    faces_buffer = gl.createBuffer();
-    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, faces_buffer);
-    gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, new Uint16Array(faces), gl.STATIC_DRAW);
-
-    edges_buffer = gl.createBuffer();
-    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, edges_buffer);
-    gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, new Uint16Array(edges), gl.STATIC_DRAW);
-}
-
 function draw(gl, program, primitive) {
-    gl.useProgram(program);
-
-    gl.bindAttribLocation(program, 0, "a_position");
-    gl.bindAttribLocation(program, 1, "a_normal");
-
-    gl.bindVertexArray(vao);
-    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, primitive == gl.LINES ? edges_buffer : faces_buffer);
-    gl.drawElements(primitive, primitive == gl.LINES ? edges.length : faces.length, gl.UNSIGNED_SHORT, 0);
-    gl.bindVertexArray(null);
-}
\ No newline at end of file
+    mesh.draw(gl, program, primitive);
+}
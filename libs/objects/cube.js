@@ -1,12 +1,13 @@
 /**
  * cube.js
- * 
+ *
  */
 export {
-    init, draw
+    init, draw, createCube
 }
 
-import { vec3, flatten } from '../MV.js';
+import { vec2, vec3 } from '../MV.js';
+import { createMesh } from './mesh.js';
 
 const vertices = [
     vec3(-0.5, -0.5, +0.5),     // 0
@@ -19,80 +20,41 @@ const vertices = [
     vec3(-0.5, +0.5, -0.5)      // 7
 ];
 
-const points = [];
-const normals = [];
-const faces = [];
-const edges = [];
+// Default instance, used by init/draw
+let mesh = null;
 
-let points_buffer;
-let normals_buffer;
-let faces_buffer;
-let edges_buffer;
-
-let vao;
+/**
+ * Create an independent unit cube mesh (see mesh.js).
+ */
+function createCube(gl) {
+    return createMesh(gl, _build());
+}
 
 function init(gl) {
-    _build();
-    _uploadData(gl);
+    if (mesh) mesh.dispose(gl);
+    mesh = createCube(gl);
 }
 
 function _build() {
-    _addFace(0, 1, 2, 3, vec3(0, 0, 1));
-    _addFace(1, 5, 6, 2, vec3(1, 0, 0));
-    _addFace(4, 7, 6, 5, vec3(0, 0, -1));
-    _addFace(0, 3, 7, 4, vec3(-1, 0, 0));
-    _addFace(3, 2, 6, 7, vec3(0, 1, 0));
-    _addFace(0, 4, 5, 1, vec3(0, -1, 0));
-}
-
-function _uploadData(gl) {
-
-    vao = gl.createVertexArray();
-    gl.bindVertexArray(vao);
-
-    points_buffer = gl.createBuffer();
-    gl.bindBuffer(gl.ARRAY_BUFFER, points_buffer);
-    gl.bufferData(gl.ARRAY_BUFFER, flatten(points), gl.STATIC_DRAW);
+    const data = { points: [], normals: [], texcoords: [], faces: [], edges: [] };
 
-    const a_position = 0;
-    gl.vertexAttribPointer(a_position, 3, gl.FLOAT, false, 0, 0);
-    gl.enableVertexAttribArray(a_position);
+    _addFace(data, 0, 1, 2, 3, vec3(0, 0, 1));
+    _addFace(data, 1, 5, 6, 2, vec3(1, 0, 0));
+    _addFace(data, 4, 7, 6, 5, vec3(0, 0, -1));
+    _addFace(data, 0, 3, 7, 4, vec3(-1, 0, 0));
+    _addFace(data, 3, 2, 6, 7, vec3(0, 1, 0));
+    _addFace(data, 0, 4, 5, 1, vec3(0, -1, 0));
 
-    normals_buffer = gl.createBuffer();
-    gl.bindBuffer(gl.ARRAY_BUFFER, normals_buffer);
-    gl.bufferData(gl.ARRAY_BUFFER, flatten(normals), gl.STATIC_DRAW);
-
-    const a_normal = 1;
-    if (a_normal != -1) {
-        gl.enableVertexAttribArray(a_normal);
-        gl.vertexAttribPointer(a_normal, 3, gl.FLOAT, false, 0, 0);
-    }
-
-    gl.bindVertexArray(null);
-
-    faces_buffer = gl.createBuffer();
-    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, faces_buffer);
-    gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, new Uint8Array(faces), gl.STATIC_DRAW);
-
-    edges_buffer = gl.createBuffer();
-    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, edges_buffer);
-    gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, new Uint8Array(edges), gl.STATIC_DRAW);
+    return data;
 }
 
 function draw(gl, program, primitive) {
-    gl.useProgram(program);
-
-    gl.bindAttribLocation(program, 0, "a_position");
-    gl.bindAttribLocation(program, 1, "a_normal");
-
-    gl.bindVertexArray(vao);
-    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, primitive == gl.LINES ? edges_buffer : faces_buffer);
-    gl.drawElements(primitive, primitive == gl.LINES ? edges.length : faces.length, gl.UNSIGNED_BYTE, 0);
-    gl.bindVertexArray(null);
+    mesh.draw(gl, program, primitive);
 }
 
 
-function _addFace(a, b, c, d, n) {
+function _addFace(data, a, b, c, d, n) {
+    const { points, normals, texcoords, faces, edges } = data;
     let offset = points.length;
 
     points.push(vertices[a]);
@@ -102,6 +64,12 @@ function _addFace(a, b, c, d, n) {
     for (let i = 0; i < 4; i++)
         normals.push(n);
 
+    // Each face maps the whole texture
+    texcoords.push(vec2(0, 0));
+    texcoords.push(vec2(1, 0));
+    texcoords.push(vec2(1, 1));
+    texcoords.push(vec2(0, 1));
+
     // Add 2 triangular faces (a,b,c) and (a,c,d)
     faces.push(offset);
     faces.push(offset + 1);
@@ -118,4 +86,4 @@ function _addFace(a, b, c, d, n) {
     // Add second edge (b,c)
     edges.push(offset + 1);
     edges.push(offset + 2);
-}
\ No newline at end of file
+}
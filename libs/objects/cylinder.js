@@ -1,22 +1,22 @@
-export { init, draw };
+export { init, draw, createCylinder };
 
-import { vec3, normalize, flatten } from '../MV.js';
+import { vec2, vec3, normalize } from '../MV.js';
+import { createMesh } from './mesh.js';
 
-let points = [];
-let normals = [];
-const faces = [];
-const edges = [];
-
-let points_buffer;
-let normals_buffer;
-let faces_buffer;
-let edges_buffer;
+const CYLINDER_N = 30;
 
-let vao;
+// Default instance, used by init/draw
+let mesh = null;
 
-const CYLINDER_N = 30;
+/**
+ * Create an independent cylinder mesh (height 1, radius 0.5, see mesh.js).
+ * @param {Object} opts : { diskPoints } number of points around each disk
+ */
+function createCylinder(gl, { diskPoints = CYLINDER_N } = {}) {
+	return createMesh(gl, _build(diskPoints));
+}
 
-function _addEdge(diskPoints, a, b, c, d) {
+function _addEdge(edges, diskPoints, a, b, c, d) {
 	edges.push(a);
 	edges.push(0);
 
@@ -33,7 +33,7 @@ function _addEdge(diskPoints, a, b, c, d) {
 	edges.push(d);
 }
 
-function _addFace(a, b, c, d) {
+function _addFace(faces, a, b, c, d) {
 	faces.push(a);
 	faces.push(c);
 	faces.push(b);
@@ -43,59 +43,61 @@ function _addFace(a, b, c, d) {
 	faces.push(d);
 }
 
-function _addTriangle(a, b, c) {
+function _addTriangle(faces, a, b, c) {
 	faces.push(a);
 	faces.push(b);
 	faces.push(c);
 }
 
 function _build(diskPoints) {
-	_buildVertices(diskPoints);
-	_buildFaces(diskPoints);
-	_buildEdges(diskPoints);
+	const data = _buildVertices(diskPoints);
+	data.faces = [];
+	data.edges = [];
+
+	_buildFaces(data.faces, diskPoints);
+	_buildEdges(data.edges, diskPoints);
+
+	return data;
 }
 
-function _buildCircle(diskPoints, offset, dir) {
+function _buildCircle(faces, diskPoints, offset, dir) {
 	let o = 0;
 
 	for (let i = 1; i < diskPoints; i++) {
 		o = offset + i;
 
-		_addTriangle(offset, dir ? o : o + 1, dir ? o + 1 : o);
+		_addTriangle(faces, offset, dir ? o : o + 1, dir ? o + 1 : o);
 	}
 
-	_addTriangle(offset, dir ? o + 1 : offset + 1, dir ? offset + 1 : o + 1);
+	_addTriangle(faces, offset, dir ? o + 1 : offset + 1, dir ? offset + 1 : o + 1);
 }
 
-function _buildEdges(diskPoints) {
+function _buildEdges(edges, diskPoints) {
 	let offset = 2 * (diskPoints + 1);
 	let o = 0;
 
 	for (let i = 0; i < diskPoints - 1; i++) {
 		o = offset + i * 2;
 
-		_addEdge(diskPoints, o, o + 1, o + 2, o + 3);
+		_addEdge(edges, diskPoints, o, o + 1, o + 2, o + 3);
 	}
 
-	_addEdge(diskPoints, o + 2, o + 3, offset, offset + 1);
+	_addEdge(edges, diskPoints, o + 2, o + 3, offset, offset + 1);
 }
 
-function _buildFaces(diskPoints) {
-	_buildCircle(diskPoints, 0, false);
-	_buildCircle(diskPoints, diskPoints + 1, true);
-	_buildSurface(diskPoints, 2 * (diskPoints + 1));
+function _buildFaces(faces, diskPoints) {
+	_buildCircle(faces, diskPoints, 0, false);
+	_buildCircle(faces, diskPoints, diskPoints + 1, true);
+	_buildSurface(faces, diskPoints, 2 * (diskPoints + 1));
 }
 
-function _buildSurface(diskPoints, offset) {
-	let o = 0;
-
-	for (let i = 0; i < diskPoints - 1; i++) {
-		o = offset + i * 2;
+function _buildSurface(faces, diskPoints, offset) {
+	// The last pair of side points repeats the first one (texture seam)
+	for (let i = 0; i < diskPoints; i++) {
+		const o = offset + i * 2;
 
-		_addFace(o, o + 1, o + 2, o + 3);
+		_addFace(faces, o, o + 1, o + 2, o + 3);
 	}
-
-	_addFace(o + 2, o + 3, offset, offset + 1);
 }
 
 function _buildVertices(diskPoints) {
@@ -107,6 +109,10 @@ function _buildVertices(diskPoints) {
 	let bottom_normals = [];
 	let middle_normals = [];
 
+	let top_texcoords = [];
+	let bottom_texcoords = [];
+	let middle_texcoords = [];
+
 	const up = vec3(0, 1, 0);
 	const down = vec3(0, -1, 0);
 
@@ -116,6 +122,9 @@ function _buildVertices(diskPoints) {
 	top_normals.push(up);
 	bottom_normals.push(down);
 
+	top_texcoords.push(vec2(0.5, 0.5));
+	bottom_texcoords.push(vec2(0.5, 0.5));
+
 	const segment = Math.PI * 2 / diskPoints;
 
 	for (let i = 1; i <= diskPoints; i++) {
@@ -133,59 +142,34 @@ function _buildVertices(diskPoints) {
 		bottom_normals.push(down);
 		middle_normals.push(normal);
 		middle_normals.push(normal);
+
+		// Caps: planar projection (bottom mirrored to be seen from below)
+		// Side: u goes around the cylinder, v from bottom to top
+		const u = (i - 1) / diskPoints;
+		top_texcoords.push(vec2(x + 0.5, z + 0.5));
+		bottom_texcoords.push(vec2(x + 0.5, 0.5 - z));
+		middle_texcoords.push(vec2(u, 1));
+		middle_texcoords.push(vec2(u, 0));
 	}
 
-	points = top.concat(bottom).concat(middle)
-	normals = top_normals.concat(bottom_normals).concat(middle_normals)
+	// Repeat the first side pair with u = 1 to close the texture seam
+	middle.push(middle[0], middle[1]);
+	middle_normals.push(middle_normals[0], middle_normals[1]);
+	middle_texcoords.push(vec2(1, 1), vec2(1, 0));
+
+	return {
+		points: top.concat(bottom).concat(middle),
+		normals: top_normals.concat(bottom_normals).concat(middle_normals),
+		texcoords: top_texcoords.concat(bottom_texcoords).concat(middle_texcoords)
+	};
 }
 
 
 function draw(gl, program, primitive) {
-
-	gl.useProgram(program);
-
-	gl.bindAttribLocation(program, 0, "a_position");
-	gl.bindAttribLocation(program, 1, "a_normal");
-
-	gl.bindVertexArray(vao);
-	gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, primitive == gl.LINES ? edges_buffer : faces_buffer);
-	gl.drawElements(primitive, primitive == gl.LINES ? edges.length : faces.length, gl.UNSIGNED_SHORT, 0);
-	gl.bindVertexArray(null);
+	mesh.draw(gl, program, primitive);
 }
 
 function init(gl, diskPoints = CYLINDER_N) {
-	_build(diskPoints);
-	_uploadData(gl);
-}
-
-function _uploadData(gl) {
-
-	vao = gl.createVertexArray();
-	gl.bindVertexArray(vao);
-
-	points_buffer = gl.createBuffer();
-	gl.bindBuffer(gl.ARRAY_BUFFER, points_buffer);
-	gl.bufferData(gl.ARRAY_BUFFER, flatten(points), gl.STATIC_DRAW);
-
-	let a_position = 0;
-	gl.vertexAttribPointer(a_position, 3, gl.FLOAT, false, 0, 0);
-	gl.enableVertexAttribArray(a_position);
-
-	normals_buffer = gl.createBuffer();
-	gl.bindBuffer(gl.ARRAY_BUFFER, normals_buffer);
-	gl.bufferData(gl.ARRAY_BUFFER, flatten(normals), gl.STATIC_DRAW);
-
-	let a_normal = 1;
-	gl.vertexAttribPointer(a_normal, 3, gl.FLOAT, false, 0, 0);
-	gl.enableVertexAttribArray(a_normal);
-
-	faces_buffer = gl.createBuffer();
-	gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, faces_buffer);
-	gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, new Uint16Array(faces), gl.STATIC_DRAW);
-
-	edges_buffer = gl.createBuffer();
-	gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, edges_buffer);
-	gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, new Uint16Array(edges), gl.STATIC_DRAW);
-
-	gl.bindVertexArray(null);
+	if (mesh) mesh.dispose(gl);
+	mesh = createCylinder(gl, { diskPoints });
 }
@@ -0,0 +1,299 @@
+/**
+ * mesh.js
+ *
+ * GPU side of every object in libs/objects: one VAO with positions
+ * (location 0), normals (location 1) and texture coordinates (location 2),
+ * plus index buffers for the faces and for the edges (wireframe).
+ * Each call to createMesh creates independent buffers, so the same kind of
+ * object can be instantiated several times with different parameters.
+ *
+ * Many copies of a mesh are drawn with a single call through
+ * createInstancedMesh: per-instance model matrices (locations 3 to 6, one
+ * column each) and colors (location 7). Meshes drawn on their own get the
+ * identity and white, the default values of these attributes.
+ */
+export { createMesh, createInstancedMesh, computeBounds, transformBounds };
+
+import { vec3, vec4, mult, flatten } from '../MV.js';
+
+const INSTANCE_MATRIX_LOCATION = 3;
+const INSTANCE_COLOR_LOCATION = 7;
+const INSTANCE_FLOATS = 16 + 3;     // matrix (by columns) and color
+
+/**
+ * @param {WebGL2RenderingContext} gl
+ * @param {Object} data : { points, normals, texcoords, faces, edges } and optionally
+ *        groups ([{ name, material, start, count }]) and materials (name -> material)
+ * @returns {Object} mesh with draw(gl, program, primitive, setMaterial), dispose(gl),
+ *          bounds ({ min, max, center, radius }), groups and materials
+ */
+function createMesh(gl, data) {
+    const { points, normals, texcoords, faces, edges } = data;
+
+    const vao = gl.createVertexArray();
+    gl.bindVertexArray(vao);
+
+    const points_buffer = _createAttribute(gl, 0, 3, points);
+    const normals_buffer = _createAttribute(gl, 1, 3, normals);
+    const texcoords_buffer = _createAttribute(gl, 2, 2, texcoords);
+
+    gl.bindVertexArray(null);
+    _resetInstanceAttributes(gl);
+
+    // Large models need 32 bit indices
+    const large = points.length > 65535;
+    const IndexArray = large ? Uint32Array : Uint16Array;
+    const indexType = large ? gl.UNSIGNED_INT : gl.UNSIGNED_SHORT;
+    const indexBytes = large ? 4 : 2;
+
+    const faces_buffer = gl.createBuffer();
+    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, faces_buffer);
+    gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, new IndexArray(faces), gl.STATIC_DRAW);
+
+    const edges_buffer = gl.createBuffer();
+    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, edges_buffer);
+    gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, new IndexArray(edges), gl.STATIC_DRAW);
+
+    const groups = data.groups || null;
+    const materials = data.materials || {};
+
+    /**
+     * @param {function} setMaterial : optional, for meshes with groups: called
+     *        before each group is drawn with its material (null if it has none)
+     */
+    function draw(gl, program, primitive, setMaterial) {
+        gl.useProgram(program);
+        gl.bindVertexArray(vao);
+
+        drawElements(gl, primitive, setMaterial);
+
+        gl.bindVertexArray(null);
+    }
+
+    /**
+     * Draw count copies of the mesh (see createInstancedMesh).
+     * @param {WebGLBuffer} instanceBuffer : INSTANCE_FLOATS floats per copy
+     */
+    function drawInstanced(gl, program, primitive, instanceBuffer, count, setMaterial) {
+        gl.useProgram(program);
+        gl.bindVertexArray(vao);
+        _enableInstanceAttributes(gl, instanceBuffer);
+
+        drawElements(gl, primitive, setMaterial, count);
+
+        _disableInstanceAttributes(gl);
+        gl.bindVertexArray(null);
+        _resetInstanceAttributes(gl);
+    }
+
+    // Edges, or faces group by group; instanceCount copies when given
+    function drawElements(gl, primitive, setMaterial, instanceCount) {
+        const drawRange = (count, offset) => {
+            if (instanceCount === undefined) gl.drawElements(primitive, count, indexType, offset);
+            else gl.drawElementsInstanced(primitive, count, indexType, offset, instanceCount);
+        };
+
+        if (primitive == gl.LINES) {
+            gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, edges_buffer);
+            drawRange(edges.length, 0);
+        } else if (groups) {
+            gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, faces_buffer);
+            for (const group of groups) {
+                if (setMaterial) setMaterial(materials[group.material] || null);
+                drawRange(group.count, group.start * indexBytes);
+            }
+        } else {
+            gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, faces_buffer);
+            drawRange(faces.length, 0);
+        }
+    }
+
+    // Release the GPU resources (the mesh cannot be drawn afterwards)
+    function dispose(gl) {
+        gl.deleteVertexArray(vao);
+        [points_buffer, normals_buffer, texcoords_buffer, faces_buffer, edges_buffer]
+            .forEach((buffer) => gl.deleteBuffer(buffer));
+    }
+
+    return {
+        draw,
+        drawInstanced,
+        dispose,
+        bounds: computeBounds(points),
+        groups,
+        materials,
+        vertexCount: points.length,
+        triangleCount: faces.length / 3
+    };
+}
+
+/**
+ * Copies of a mesh drawn with a single call, each with its own model matrix
+ * and color. It has the interface of a mesh (draw, dispose, bounds, ...), so
+ * it can be the object of a scene graph node: the instance matrices are
+ * relative to the node.
+ *
+ * The vertex shaders apply the instance matrix before u_modelViewMatrix and
+ * the color modulates the ambient and diffuse colors of the material.
+ *
+ * @param {Object} mesh : from createMesh, shared (dispose does not release it)
+ * @param {Array} instances : [{ matrix, color }], matrix an MV.js mat4 made of
+ *        rotations, translations and uniform scaling (the normals go through
+ *        the same matrix), color [r, g, b] in the 0..1 range
+ * @returns {Object} mesh interface plus mesh, count and update(gl, instances)
+ */
+function createInstancedMesh(gl, mesh, instances) {
+    const buffer = gl.createBuffer();
+
+    const instanced = {
+        draw,
+        dispose,
+        update,
+        mesh,
+        count: 0,
+        bounds: null,
+        groups: mesh.groups,
+        materials: mesh.materials,
+        vertexCount: 0,
+        triangleCount: 0
+    };
+    update(gl, instances);
+    return instanced;
+
+    // Replace the instances (the buffer is resized as needed)
+    function update(gl, instances) {
+        const data = new Float32Array(instances.length * INSTANCE_FLOATS);
+        const corners = [];
+        const b = mesh.bounds;
+
+        instances.forEach((instance, i) => {
+            data.set(flatten(instance.matrix), i * INSTANCE_FLOATS);
+            data.set(instance.color, i * INSTANCE_FLOATS + 16);
+
+            for (let corner = 0; corner < 8; corner++) {
+                corners.push(mult(instance.matrix, vec4(corner & 1 ? b.max[0] : b.min[0],
+                                                        corner & 2 ? b.max[1] : b.min[1],
+                                                        corner & 4 ? b.max[2] : b.min[2], 1)));
+            }
+        });
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+        gl.bufferData(gl.ARRAY_BUFFER, data, gl.DYNAMIC_DRAW);
+        gl.bindBuffer(gl.ARRAY_BUFFER, null);
+
+        instanced.count = instances.length;
+        instanced.bounds = computeBounds(corners);
+        instanced.vertexCount = mesh.vertexCount * instances.length;
+        instanced.triangleCount = mesh.triangleCount * instances.length;
+    }
+
+    function draw(gl, program, primitive, setMaterial) {
+        if (instanced.count === 0) return;
+        mesh.drawInstanced(gl, program, primitive, buffer, instanced.count, setMaterial);
+    }
+
+    function dispose(gl) {
+        gl.deleteBuffer(buffer);
+    }
+}
+
+/**
+ * Axis aligned bounding box and bounding sphere (around the box center).
+ * @param {Array} points : array of vec3
+ */
+function computeBounds(points) {
+    if (points.length === 0) {
+        return { min: vec3(0, 0, 0), max: vec3(0, 0, 0), center: vec3(0, 0, 0), radius: 0 };
+    }
+
+    const min = vec3(points[0]);
+    const max = vec3(points[0]);
+    for (const p of points) {
+        for (let i = 0; i < 3; i++) {
+            min[i] = Math.min(min[i], p[i]);
+            max[i] = Math.max(max[i], p[i]);
+        }
+    }
+
+    const center = vec3((min[0] + max[0]) / 2, (min[1] + max[1]) / 2, (min[2] + max[2]) / 2);
+
+    let radius = 0;
+    for (const p of points) {
+        const dx = p[0] - center[0], dy = p[1] - center[1], dz = p[2] - center[2];
+        radius = Math.max(radius, Math.sqrt(dx * dx + dy * dy + dz * dz));
+    }
+
+    return { min, max, center, radius };
+}
+
+/**
+ * Bounds of a mesh after the transformation m (e.g. a world matrix): the
+ * axis aligned box around the transformed box, and the transformed sphere
+ * (its radius grows with the largest scale factor of m).
+ * @param {Object} bounds : { min, max, center, radius }
+ * @param {mat4} m : MV.js matrix
+ */
+function transformBounds(bounds, m) {
+    const min = vec3(Infinity, Infinity, Infinity);
+    const max = vec3(-Infinity, -Infinity, -Infinity);
+    for (let corner = 0; corner < 8; corner++) {
+        const p = mult(m, vec4(corner & 1 ? bounds.max[0] : bounds.min[0],
+                               corner & 2 ? bounds.max[1] : bounds.min[1],
+                               corner & 4 ? bounds.max[2] : bounds.min[2], 1));
+        for (let i = 0; i < 3; i++) {
+            min[i] = Math.min(min[i], p[i]);
+            max[i] = Math.max(max[i], p[i]);
+        }
+    }
+
+    const c = mult(m, vec4(bounds.center[0], bounds.center[1], bounds.center[2], 1));
+    const scale = Math.max(...[0, 1, 2].map((j) => Math.hypot(m[0][j], m[1][j], m[2][j])));
+
+    return { min, max, center: vec3(c[0], c[1], c[2]), radius: bounds.radius * scale };
+}
+
+function _createAttribute(gl, location, size, values) {
+    const buffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+    gl.bufferData(gl.ARRAY_BUFFER, flatten(values), gl.STATIC_DRAW);
+
+    gl.vertexAttribPointer(location, size, gl.FLOAT, false, 0, 0);
+    gl.enableVertexAttribArray(location);
+
+    return buffer;
+}
+
+// Point the instance attributes of the bound VAO at buffer, advancing once per copy
+function _enableInstanceAttributes(gl, buffer) {
+    const stride = INSTANCE_FLOATS * 4;
+    gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+
+    for (let column = 0; column < 4; column++) {
+        const location = INSTANCE_MATRIX_LOCATION + column;
+        gl.vertexAttribPointer(location, 4, gl.FLOAT, false, stride, column * 16);
+        gl.vertexAttribDivisor(location, 1);
+        gl.enableVertexAttribArray(location);
+    }
+    gl.vertexAttribPointer(INSTANCE_COLOR_LOCATION, 3, gl.FLOAT, false, stride, 64);
+    gl.vertexAttribDivisor(INSTANCE_COLOR_LOCATION, 1);
+    gl.enableVertexAttribArray(INSTANCE_COLOR_LOCATION);
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, null);
+}
+
+function _disableInstanceAttributes(gl) {
+    for (let location = INSTANCE_MATRIX_LOCATION; location <= INSTANCE_COLOR_LOCATION; location++) {
+        gl.disableVertexAttribArray(location);
+    }
+}
+
+// Values of the instance attributes when they are not arrays: identity and
+// white. They are context state, and may be lost by an instanced draw.
+function _resetInstanceAttributes(gl) {
+    for (let column = 0; column < 4; column++) {
+        const v = [0, 0, 0, 0];
+        v[column] = 1;
+        gl.vertexAttrib4fv(INSTANCE_MATRIX_LOCATION + column, v);
+    }
+    gl.vertexAttrib4f(INSTANCE_COLOR_LOCATION, 1, 1, 1, 1);
+}
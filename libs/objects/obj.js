@@ -0,0 +1,319 @@
+/**
+ * obj.js
+ *
+ * Wavefront OBJ/MTL meshes. Supports positions, normals and texture
+ * coordinates, polygons (triangulated as fans, so they must be convex),
+ * groups/objects and the materials referenced with usemtl.
+ *
+ * Materials are converted to the format used by app.js
+ * ({ Ka, Kd, Ks } in 0..255, shininess, metallic and roughness).
+ */
+export {
+    init, draw, createOBJ, fetchModel, parseOBJ, parseMTL, getGroups, getMaterials
+}
+
+import { vec2, vec3, add, subtract, cross, normalize } from '../MV.js';
+import { loadTextFile } from '../utils.js';
+import { createMesh } from './mesh.js';
+
+// Default instance, used by init/draw
+let mesh = null;
+
+/**
+ * Create an independent mesh from the text of an OBJ file (see mesh.js).
+ * The mesh keeps its groups ({ name, material, start, count }, start/count
+ * in indices) and its materials by name.
+ * @param {string} objText : contents of the .obj file
+ * @param {string} mtlText : contents of the .mtl file(s), may be empty
+ * @param {boolean} normalizeSize : center the model and scale it to unit height
+ */
+function createOBJ(gl, objText, mtlText = '', normalizeSize = true) {
+    return createMesh(gl, _build(parseOBJ(objText), parseMTL(mtlText), normalizeSize));
+}
+
+function init(gl, objText, mtlText = '', normalizeSize = true) {
+    if (mesh) mesh.dispose(gl);
+    mesh = createOBJ(gl, objText, mtlText, normalizeSize);
+}
+
+/**
+ * Fetch an OBJ file and every MTL library it references.
+ * Texture file names in the materials are resolved relative to the OBJ file.
+ * @param {string} url
+ * @returns {Promise<{obj: string, mtl: string, baseUrl: string}>}
+ */
+async function fetchModel(url) {
+    const baseUrl = url.substring(0, url.lastIndexOf('/') + 1);
+    const obj = await loadTextFile(url);
+
+    const libs = [];
+    for (const match of obj.matchAll(/^\s*mtllib\s+(.+)$/gm)) {
+        libs.push(...match[1].trim().split(/\s+/));
+    }
+    // A missing library only loses its materials: the groups using them get the default one
+    const mtls = await Promise.all(libs.map(lib => loadTextFile(baseUrl + lib).catch((err) => {
+        console.warn(`Material library ${lib} of ${url} not loaded:`, err);
+        return '';
+    })));
+
+    return { obj, mtl: mtls.join('\n'), baseUrl };
+}
+
+/**
+ * Parse the text of an OBJ file.
+ * Face vertices are { v, t, n } zero-based indices (t and n may be -1).
+ */
+function parseOBJ(text) {
+    const model = { positions: [], normals: [], texcoords: [], groups: [] };
+
+    let groupName = 'default';
+    let material = null;
+    let current = null;
+
+    // OBJ indices are 1-based, negative values are relative to the end
+    const toIndex = (str, count) => {
+        if (str === undefined || str === '') return -1;
+        const i = parseInt(str, 10);
+        return i < 0 ? count + i : i - 1;
+    };
+
+    const lines = text.split('\n');
+    for (let l = 0; l < lines.length; l++) {
+        const line = lines[l].trim();
+        if (line === '' || line[0] === '#') continue;
+
+        const tokens = line.split(/\s+/);
+        const keyword = tokens[0];
+
+        switch (keyword) {
+            case 'v':
+                model.positions.push(vec3(parseFloat(tokens[1]), parseFloat(tokens[2]), parseFloat(tokens[3])));
+                break;
+            case 'vn':
+                model.normals.push(vec3(parseFloat(tokens[1]), parseFloat(tokens[2]), parseFloat(tokens[3])));
+                break;
+            case 'vt':
+                model.texcoords.push(vec2(parseFloat(tokens[1]), parseFloat(tokens[2] || 0)));
+                break;
+            case 'g':
+            case 'o':
+                groupName = tokens.slice(1).join(' ') || 'default';
+                current = null;
+                break;
+            case 'usemtl':
+                material = tokens.slice(1).join(' ');
+                current = null;
+                break;
+            case 'f': {
+                if (tokens.length < 4) {
+                    throw new Error(`OBJ line ${l + 1}: a face needs at least 3 vertices`);
+                }
+                const face = tokens.slice(1).map((token) => {
+                    const [v, t, n] = token.split('/');
+                    const vertex = {
+                        v: toIndex(v, model.positions.length),
+                        t: toIndex(t, model.texcoords.length),
+                        n: toIndex(n, model.normals.length)
+                    };
+                    if (vertex.v < 0 || vertex.v >= model.positions.length) {
+                        throw new Error(`OBJ line ${l + 1}: invalid vertex index ${v}`);
+                    }
+                    if (t && (vertex.t < 0 || vertex.t >= model.texcoords.length)) {
+                        throw new Error(`OBJ line ${l + 1}: invalid texture index ${t}`);
+                    }
+                    if (n && (vertex.n < 0 || vertex.n >= model.normals.length)) {
+                        throw new Error(`OBJ line ${l + 1}: invalid normal index ${n}`);
+                    }
+                    return vertex;
+                });
+                if (!current) {
+                    current = { name: groupName, material, faces: [] };
+                    model.groups.push(current);
+                }
+                current.faces.push(face);
+                break;
+            }
+            default:
+                // s, l, p and other statements are not used (mtllib is read by fetchModel)
+                break;
+        }
+    }
+
+    return model;
+}
+
+/**
+ * Parse the text of an MTL file into a map of name -> material,
+ * already converted to the app format.
+ */
+function parseMTL(text) {
+    const result = {};
+    let current = null;
+
+    const toColor = (tokens) => [0, 1, 2].map(i => Math.round(255 * Math.min(1, parseFloat(tokens[i + 1]))));
+
+    const lines = text.split('\n');
+    for (let l = 0; l < lines.length; l++) {
+        const line = lines[l].trim();
+        if (line === '' || line[0] === '#') continue;
+
+        const tokens = line.split(/\s+/);
+        const keyword = tokens[0];
+
+        if (keyword === 'newmtl') {
+            current = {
+                Ka: [0, 0, 0],
+                Kd: [204, 204, 204],
+                Ks: [0, 0, 0],
+                shininess: 1,
+                metallic: 0,
+                roughness: null,
+                diffuseMapFile: null,
+                specularMapFile: null
+            };
+            result[tokens.slice(1).join(' ')] = current;
+            continue;
+        }
+        if (!current) continue;
+
+        switch (keyword) {
+            case 'Ka': current.Ka = toColor(tokens); break;
+            case 'Kd': current.Kd = toColor(tokens); break;
+            case 'Ks': current.Ks = toColor(tokens); break;
+            // Ns goes up to 1000, the app expects at least 1
+            case 'Ns': current.shininess = Math.max(1, parseFloat(tokens[1])); break;
+            // PBR extension
+            case 'Pm': current.metallic = Math.min(1, Math.max(0, parseFloat(tokens[1]))); break;
+            case 'Pr': current.roughness = Math.min(1, Math.max(0.04, parseFloat(tokens[1]))); break;
+            // Texture options (-s, -o, ...) are ignored: the file name comes last
+            case 'map_Kd': current.diffuseMapFile = tokens[tokens.length - 1]; break;
+            case 'map_Ks': current.specularMapFile = tokens[tokens.length - 1]; break;
+            default: break;
+        }
+    }
+
+    // Without Pr, a roughness with about the same highlight as Ns
+    for (const material of Object.values(result)) {
+        if (material.roughness === null) {
+            material.roughness = Math.sqrt(Math.sqrt(2 / (material.shininess + 2)));
+        }
+    }
+
+    return result;
+}
+
+// Groups of the default model: { name, material, start, count }
+function getGroups() {
+    return mesh ? mesh.groups : [];
+}
+
+// Materials of the default model, by name
+function getMaterials() {
+    return mesh ? mesh.materials : {};
+}
+
+function _build(model, materials, normalizeSize) {
+    const points = [];
+    const normals = [];
+    const texcoords = [];
+    const faces = [];
+    const edges = [];
+    const groups = [];
+
+    // Smooth normals for the vertices that do not have one
+    const smoothNormals = _computeSmoothNormals(model);
+
+    // One vertex per distinct v/t/n combination
+    const vertexIndex = {};
+    const getVertex = (fv) => {
+        const key = `${fv.v}/${fv.t}/${fv.n}`;
+        if (vertexIndex[key] === undefined) {
+            vertexIndex[key] = points.length;
+            points.push(vec3(model.positions[fv.v]));
+            normals.push(fv.n >= 0 ? normalize(vec3(model.normals[fv.n])) : smoothNormals[fv.v]);
+            texcoords.push(fv.t >= 0 ? vec2(model.texcoords[fv.t]) : vec2(0, 0));
+        }
+        return vertexIndex[key];
+    };
+
+    const existingEdges = {};
+    const addEdge = (i1, i2) => {
+        const key = i1 < i2 ? `${i1}-${i2}` : `${i2}-${i1}`;
+        if (!existingEdges[key]) {
+            existingEdges[key] = true;
+            edges.push(i1, i2);
+        }
+    };
+
+    for (const group of model.groups) {
+        const start = faces.length;
+
+        for (const face of group.faces) {
+            const indices = face.map(getVertex);
+
+            // Fan triangulation
+            for (let i = 1; i < indices.length - 1; i++) {
+                faces.push(indices[0], indices[i], indices[i + 1]);
+            }
+
+            // Polygon outline (not the triangulation diagonals)
+            for (let i = 0; i < indices.length; i++) {
+                addEdge(indices[i], indices[(i + 1) % indices.length]);
+            }
+        }
+
+        groups.push({ name: group.name, material: group.material, start, count: faces.length - start });
+    }
+
+    if (normalizeSize) _normalizeSize(points);
+
+    return { points, normals, texcoords, faces, edges, groups, materials };
+}
+
+// Average of the normals of the faces around each position
+function _computeSmoothNormals(model) {
+    const result = model.positions.map(() => vec3(0, 0, 0));
+
+    for (const group of model.groups) {
+        for (const face of group.faces) {
+            const p0 = model.positions[face[0].v];
+            for (let i = 1; i < face.length - 1; i++) {
+                const p1 = model.positions[face[i].v];
+                const p2 = model.positions[face[i + 1].v];
+                const n = cross(subtract(p1, p0), subtract(p2, p0));
+                for (const fv of [face[0], face[i], face[i + 1]]) {
+                    result[fv.v] = add(result[fv.v], n);
+                }
+            }
+        }
+    }
+
+    return result.map(n => (n[0] || n[1] || n[2]) ? normalize(n) : vec3(0, 1, 0));
+}
+
+// Center the model at the origin and scale it to unit height (like bunny.js)
+function _normalizeSize(points) {
+    if (points.length === 0) return;
+
+    const min = vec3(points[0]);
+    const max = vec3(points[0]);
+    for (const p of points) {
+        for (let i = 0; i < 3; i++) {
+            min[i] = Math.min(min[i], p[i]);
+            max[i] = Math.max(max[i], p[i]);
+        }
+    }
+
+    const center = [0, 1, 2].map(i => (min[i] + max[i]) / 2);
+    const height = (max[1] - min[1]) || 1;
+
+    for (const p of points) {
+        for (let i = 0; i < 3; i++) {
+            p[i] = (p[i] - center[i]) / height;
+        }
+    }
+}
+
+function draw(gl, program, primitive, setMaterial) {
+    mesh.draw(gl, program, primitive, setMaterial);
+}
@@ -1,6 +1,7 @@
-export { init, draw };
+export { init, draw, createPyramid };
 
-import { vec3, normalize, flatten } from '../MV.js';
+import { vec2, vec3, normalize } from '../MV.js';
+import { createMesh } from './mesh.js';
 
 const vertices = [
     vec3(+0.0, +0.5, +0.0),     // 0
@@ -10,84 +11,44 @@ const vertices = [
     vec3(-0.5, -0.5, +0.5),     // 4
 ];
 
-const points = [];
-const normals = [];
-const faces = [];
-const edges = [];
+// Default instance, used by init/draw
+let mesh = null;
 
-let points_buffer;
-let normals_buffer;
-let faces_buffer;
-let edges_buffer;
-
-let vao;
+/**
+ * Create an independent unit pyramid mesh (see mesh.js).
+ */
+function createPyramid(gl) {
+    return createMesh(gl, _build());
+}
 
 function init(gl) {
-    _build();
-    _uploadData(gl);
+    if (mesh) mesh.dispose(gl);
+    mesh = createPyramid(gl);
 }
 
 function _build() {
-    _addSide(0, 1, 2, normalize(vec3(2, 1, 0)));
-    _addSide(0, 2, 3, normalize(vec3(0, 1, -2)));
-    _addSide(0, 3, 4, normalize(vec3(-2, 1, 0)));
-    _addSide(0, 4, 1, normalize(vec3(0, 1, 2)));
+    const data = { points: [], normals: [], texcoords: [], faces: [], edges: [] };
+
+    _addSide(data, 0, 1, 2, normalize(vec3(2, 1, 0)));
+    _addSide(data, 0, 2, 3, normalize(vec3(0, 1, -2)));
+    _addSide(data, 0, 3, 4, normalize(vec3(-2, 1, 0)));
+    _addSide(data, 0, 4, 1, normalize(vec3(0, 1, 2)));
     /*    _addSide(0,1,2,normalize(vec3(2,1,0)));
         _addSide(0,2,3,normalize(vec3(0,1,-2)));
         _addSide(0,3,4,normalize(vec3(-2,1,0)));
         _addSide(0,4,1,normalize(vec3(0,1,2)));*/
-    _addBase(4, 3, 2, 1, vec3(0, -1, 0));
-}
-
-function _uploadData(gl) {
-
-    vao = gl.createVertexArray();
-    gl.bindVertexArray(vao);
-
-    points_buffer = gl.createBuffer();
-    gl.bindBuffer(gl.ARRAY_BUFFER, points_buffer);
-    gl.bufferData(gl.ARRAY_BUFFER, flatten(points), gl.STATIC_DRAW);
-
-    const a_position = 0;
-    gl.vertexAttribPointer(a_position, 3, gl.FLOAT, false, 0, 0);
-    gl.enableVertexAttribArray(a_position);
-
-    normals_buffer = gl.createBuffer();
-    gl.bindBuffer(gl.ARRAY_BUFFER, normals_buffer);
-    gl.bufferData(gl.ARRAY_BUFFER, flatten(normals), gl.STATIC_DRAW);
-
-    const vNormal = 1;
-    if (vNormal != -1) {
-        gl.enableVertexAttribArray(vNormal);
-        gl.vertexAttribPointer(vNormal, 3, gl.FLOAT, false, 0, 0);
-    }
-
-    gl.bindVertexArray(null);
-
-    faces_buffer = gl.createBuffer();
-    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, faces_buffer);
-    gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, new Uint8Array(faces), gl.STATIC_DRAW);
-
-    edges_buffer = gl.createBuffer();
-    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, edges_buffer);
-    gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, new Uint8Array(edges), gl.STATIC_DRAW);
+    _addBase(data, 4, 3, 2, 1, vec3(0, -1, 0));
 
+    return data;
 }
 
 function draw(gl, program, primitive) {
-    gl.useProgram(program);
-
-    gl.bindAttribLocation(program, 0, "a_position");
-    gl.bindAttribLocation(program, 1, "a_normal");
-
-    gl.bindVertexArray(vao);
-    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, primitive == gl.LINES ? edges_buffer : faces_buffer);
-    gl.drawElements(primitive, primitive == gl.LINES ? edges.length : faces.length, gl.UNSIGNED_BYTE, 0);
-    gl.bindVertexArray(null);
+    mesh.draw(gl, program, primitive);
 }
 
 
-function _addSide(a, b, c, n) {
+function _addSide(data, a, b, c, n) {
+    const { points, normals, texcoords, faces, edges } = data;
     const offset = points.length;
 
     points.push(vertices[a]);
@@ -96,6 +57,11 @@ function _addSide(a, b, c, n) {
     for (let i = 0; i < 3; i++)
         normals.push(n);
 
+    // Apex at the top center of the texture
+    texcoords.push(vec2(0.5, 1));
+    texcoords.push(vec2(0, 0));
+    texcoords.push(vec2(1, 0));
+
     // Add triangular faces (a,b,c)
     faces.push(offset);
     faces.push(offset + 1);
@@ -110,7 +76,8 @@ function _addSide(a, b, c, n) {
     edges.push(offset + 2);
 }
 
-function _addBase(a, b, c, d, n) {
+function _addBase(data, a, b, c, d, n) {
+    const { points, normals, texcoords, faces } = data;
     const offset = points.length;
 
     points.push(vertices[a]);
@@ -120,6 +87,11 @@ function _addBase(a, b, c, d, n) {
     for (var i = 0; i < 4; i++)
         normals.push(n);
 
+    texcoords.push(vec2(0, 0));
+    texcoords.push(vec2(1, 0));
+    texcoords.push(vec2(1, 1));
+    texcoords.push(vec2(0, 1));
+
     // Add 2 triangular faces (a,b,c) and (a,c,d)
     faces.push(offset);
     faces.push(offset + 1);
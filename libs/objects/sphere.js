@@ -3,28 +3,28 @@
  * 
  */
 
-export { init, draw };
+export { init, draw, createSphere };
 
-import { vec3, normalize, flatten } from '../MV.js';
-
-const points = [];
-const normals = [];
-const faces = [];
-const edges = [];
-
-let points_buffer;
-let normals_buffer;
-let faces_buffer;
-let edges_buffer;
-
-let vao;
+import { vec2, vec3, normalize } from '../MV.js';
+import { createMesh } from './mesh.js';
 
 const SPHERE_LATS = 50;
 const SPHERE_LONS = 50;
 
-function init(gl, program) {
-    _build(SPHERE_LATS, SPHERE_LONS);
-    _uploadData(gl, program);
+// Default instance, used by init/draw
+let mesh = null;
+
+/**
+ * Create an independent sphere mesh (radius 0.5, see mesh.js).
+ * @param {Object} opts : { lats, lons } number of latitudes and longitudes
+ */
+function createSphere(gl, { lats = SPHERE_LATS, lons = SPHERE_LONS } = {}) {
+    return createMesh(gl, _build(lats, lons));
+}
+
+function init(gl) {
+    if (mesh) mesh.dispose(gl);
+    mesh = createSphere(gl);
 }
 
 // Generate points using polar coordinates
@@ -36,145 +36,79 @@ function _build(nlat, nlon) {
     const d_theta = 2 * Math.PI / nlon;
     const r = 0.5;
 
-    // Genreate the points
-
-    // Generate north polar cap points and normals
-    const north = vec3(0, r, 0);
-    points.push(north);
-    normals.push(vec3(0, 1, 0));
-
-    // Generate middle points and normals
-    for (let i = 0, phi = Math.PI / 2 - d_phi; i < nlat; i++, phi -= d_phi) {
-        for (let j = 0, theta = 0; j < nlon; j++, theta += d_theta) {
+    const points = [];
+    const normals = [];
+    const texcoords = [];
+    const faces = [];
+    const edges = [];
+
+    // Generate the points, normals and texture coordinates.
+    // Rows go from the north pole (row 0) to the south pole (row nlat+1);
+    // each row has nlon+1 points so that the texture seam (u = 0 and u = 1)
+    // gets its own column. The poles are repeated once per column.
+    const rows = nlat + 2;
+    const cols = nlon + 1;
+
+    for (let i = 0; i < rows; i++) {
+        const phi = Math.PI / 2 - i * d_phi;
+        const isPole = i == 0 || i == rows - 1;
+
+        for (let j = 0; j < cols; j++) {
+            const theta = j * d_theta;
             const pt = vec3(r * Math.cos(phi) * Math.cos(theta), r * Math.sin(phi), r * Math.cos(phi) * Math.sin(theta));
             const n = vec3(pt);
             points.push(pt);
             normals.push(normalize(n));
+
+            // Pole points sit in the middle of the triangle they belong to
+            const u = isPole ? (j + 0.5) / nlon : j / nlon;
+            texcoords.push(vec2(u, 1 - i / (rows - 1)));
         }
     }
 
-    // Generate south polar cap points and normals
-    const south = vec3(0, -r, 0);
-    points.push(south);
-    normals.push(vec3(0, -1, 0));
-
     // Generate the faces
-
-    // north pole faces
-    for (let i = 0; i < nlon - 1; i++) {
-        faces.push(0);
-        faces.push(i + 2);
-        faces.push(i + 1);
-    }
-    faces.push(0);
-    faces.push(1);
-    faces.push(nlon);
-
-    // general middle faces
-    let offset = 1;
-    let p;
-
-    for (let i = 0; i < nlat - 1; i++) {
-        for (let j = 0; j < nlon - 1; j++) {
-            p = offset + i * nlon + j;
-            faces.push(p);
-            faces.push(p + nlon + 1);
-            faces.push(p + nlon);
-
-            faces.push(p);
-            faces.push(p + 1);
-            faces.push(p + nlon + 1);
+    for (let i = 0; i < rows - 1; i++) {
+        for (let j = 0; j < nlon; j++) {
+            const a = i * cols + j;     // current row
+            const b = a + 1;
+            const c = a + cols;         // next row (further south)
+            const d = c + 1;
+
+            // north pole row has no (a, b, d) triangle, south pole row no (a, d, c)
+            if (i != rows - 2) {
+                faces.push(a);
+                faces.push(d);
+                faces.push(c);
+            }
+            if (i != 0) {
+                faces.push(a);
+                faces.push(b);
+                // the south pole copy of column j has the u of this triangle
+                faces.push(i == rows - 2 ? c : d);
+            }
         }
-        p = offset + i * nlon + nlon - 1;
-        faces.push(p);
-        faces.push(p + 1);
-        faces.push(p + nlon);
-
-        faces.push(p);
-        faces.push(p - nlon + 1);
-        faces.push(p + 1);
-    }
-
-    // south pole faces
-    offset = 1 + (nlat - 1) * nlon;
-    for (let j = 0; j < nlon - 1; j++) {
-        faces.push(offset + nlon);
-        faces.push(offset + j);
-        faces.push(offset + j + 1);
     }
-    faces.push(offset + nlon);
-    faces.push(offset + nlon - 1);
-    faces.push(offset);
 
     // Build the edges
-    for (let i = 0; i < nlon; i++) {
-        edges.push(0);   // North pole 
-        edges.push(i + 1);
-    }
+    for (let i = 0; i < rows - 1; i++) {
+        for (let j = 0; j < nlon; j++) {
+            const p = i * cols + j;
 
-    for (let i = 0; i < nlat; i++, p++) {
-        for (let j = 0; j < nlon; j++, p++) {
-            p = 1 + i * nlon + j;
-            edges.push(p);   // horizontal line (same latitude)
-            if (j != nlon - 1)
-                edges.push(p + 1);
-            else edges.push(p + 1 - nlon);
+            // vertical line (same longitude)
+            edges.push(p);
+            edges.push(p + cols);
 
-            if (i != nlat - 1) {
-                edges.push(p);   // vertical line (same longitude)
-                edges.push(p + nlon);
-            }
-            else {
+            // horizontal line (same latitude), except around the poles
+            if (i != 0) {
                 edges.push(p);
-                edges.push(points.length - 1);
+                edges.push(p + 1);
             }
         }
     }
 
-}
-
-function _uploadData(gl) {
-
-    vao = gl.createVertexArray();
-    gl.bindVertexArray(vao);
-
-    points_buffer = gl.createBuffer();
-    gl.bindBuffer(gl.ARRAY_BUFFER, points_buffer);
-    gl.bufferData(gl.ARRAY_BUFFER, flatten(points), gl.STATIC_DRAW);
-
-    const a_position = 0;
-    gl.vertexAttribPointer(a_position, 3, gl.FLOAT, false, 0, 0);
-    gl.enableVertexAttribArray(a_position);
-
-    normals_buffer = gl.createBuffer();
-    gl.bindBuffer(gl.ARRAY_BUFFER, normals_buffer);
-    gl.bufferData(gl.ARRAY_BUFFER, flatten(normals), gl.STATIC_DRAW);
-
-    const a_normal = 1;
-    if (a_normal != -1) {
-        gl.enableVertexAttribArray(a_normal);
-        gl.vertexAttribPointer(a_normal, 3, gl.FLOAT, false, 0, 0);
-    }
-
-    gl.bindVertexArray(null);
-
-    faces_buffer = gl.createBuffer();
-    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, faces_buffer);
-    gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, new Uint16Array(faces), gl.STATIC_DRAW);
-
-    edges_buffer = gl.createBuffer();
-    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, edges_buffer);
-    gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, new Uint16Array(edges), gl.STATIC_DRAW);
+    return { points, normals, texcoords, faces, edges };
 }
 
 function draw(gl, program, primitive) {
-    gl.useProgram(program);
-
-    gl.bindAttribLocation(program, 0, "a_position");
-    gl.bindAttribLocation(program, 1, "a_normal");
-
-    gl.bindVertexArray(vao);
-    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, primitive == gl.LINES ? edges_buffer : faces_buffer);
-    gl.drawElements(primitive, primitive == gl.LINES ? edges.length : faces.length, gl.UNSIGNED_SHORT, 0);
-    gl.bindVertexArray(null);
-}
\ No newline at end of file
+    mesh.draw(gl, program, primitive);
+}
@@ -3,35 +3,38 @@
  * 
  */
 
-export { init, draw };
+export { init, draw, createTorus };
 
-import { vec3, normalize, flatten } from '../MV.js';
-
-const points = [];
-const normals = [];
-const faces = [];
-const edges = [];
-
-let points_buffer;
-let normals_buffer;
-let faces_buffer;
-let edges_buffer;
-
-let vao;
+import { vec2, vec3, normalize } from '../MV.js';
+import { createMesh } from './mesh.js';
 
 const torus_PPD = 30;
 const torus_DISKS = 30;
 const torus_DISK_RADIUS = 0.2;
 const torus_RADIUS = 0.5;
 
+// Default instance, used by init/draw
+let mesh = null;
+
+/**
+ * Create an independent torus mesh (see mesh.js).
+ * @param {Object} opts : { ppd, disks, radius, diskRadius } points per disk,
+ *        number of disks, radius of the torus and radius of each disk
+ */
+function createTorus(gl, { ppd = torus_PPD, disks = torus_DISKS, radius = torus_RADIUS, diskRadius = torus_DISK_RADIUS } = {}) {
+    return createMesh(gl, _build(ppd, disks, radius, diskRadius));
+}
+
 function init(gl, ppd = torus_PPD, nd = torus_DISKS, big_r = torus_RADIUS, small_r = torus_DISK_RADIUS) {
-    _build(ppd, nd, big_r, small_r);
-    _uploadData(gl);
+    if (mesh) mesh.dispose(gl);
+    mesh = createTorus(gl, { ppd, disks: nd, radius: big_r, diskRadius: small_r });
 }
 
+// Disks and points are generated with an extra (repeated) last one, so that
+// the texture seam has its own vertices: disk d, point p is at index
+// d * (ppd + 1) + p, for d in [0, nd] and p in [0, ppd].
 function _getIndex(ppd, nd, d, p) {
-    const diskOffset = d % nd * ppd;
-    return diskOffset + (p % ppd);
+    return d * (ppd + 1) + p;
 }
 
 // Generate points using polar coordinates
@@ -39,9 +42,17 @@ function _build(ppd, nd, big_r, small_r) {
     const diskStep = 2 * Math.PI / nd;
     const pointStep = 2 * Math.PI / ppd;
 
+    const points = [];
+    const normals = [];
+    const texcoords = [];
+    const faces = [];
+    const edges = [];
+
     // Generate points
-    for (let phi = 0; phi < 2 * Math.PI; phi += diskStep) {
-        for (let theta = 0; theta < 2 * Math.PI; theta += pointStep) {
+    for (let d = 0; d <= nd; d++) {
+        const phi = d * diskStep;
+        for (let p = 0; p <= ppd; p++) {
+            const theta = p * pointStep;
             // "em pé"
             /*var pt = vec3(
                 (big_r+small_r*Math.cos(theta))*Math.cos(phi),
@@ -62,6 +73,8 @@ function _build(ppd, nd, big_r, small_r) {
                 (small_r * Math.cos(theta)) * Math.sin(phi)
             );
             normals.push(normalize(normal));
+            // u goes around the big ring, v around each disk
+            texcoords.push(vec2(d / nd, p / ppd));
         }
     }
 
@@ -81,7 +94,6 @@ function _build(ppd, nd, big_r, small_r) {
 
     //Faces
     for (let d = 0; d < nd; d++) {
-        const diskOffset = d * ppd;
         for (let p = 0; p < ppd; p++) {
             faces.push(_getIndex(ppd, nd, d, p));
             faces.push(_getIndex(ppd, nd, d, p + 1));
@@ -93,50 +105,9 @@ function _build(ppd, nd, big_r, small_r) {
         }
     }
 
-}
-
-function _uploadData(gl) {
-
-    vao = gl.createVertexArray();
-    gl.bindVertexArray(vao);
-
-    points_buffer = gl.createBuffer();
-    gl.bindBuffer(gl.ARRAY_BUFFER, points_buffer);
-    gl.bufferData(gl.ARRAY_BUFFER, flatten(points), gl.STATIC_DRAW);
-
-    const a_position = 0;
-    gl.vertexAttribPointer(a_position, 3, gl.FLOAT, false, 0, 0);
-    gl.enableVertexAttribArray(a_position);
-
-    normals_buffer = gl.createBuffer();
-    gl.bindBuffer(gl.ARRAY_BUFFER, normals_buffer);
-    gl.bufferData(gl.ARRAY_BUFFER, flatten(normals), gl.STATIC_DRAW);
-
-    const a_normal = 1;
-    if (a_normal != -1) {
-        gl.vertexAttribPointer(a_normal, 3, gl.FLOAT, false, 0, 0);
-        gl.enableVertexAttribArray(a_normal);
-    }
-
-    gl.bindVertexArray(null);
-
-    faces_buffer = gl.createBuffer();
-    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, faces_buffer);
-    gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, new Uint16Array(faces), gl.STATIC_DRAW);
-
-    edges_buffer = gl.createBuffer();
-    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, edges_buffer);
-    gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, new Uint16Array(edges), gl.STATIC_DRAW);
+    return { points, normals, texcoords, faces, edges };
 }
 
 function draw(gl, program, primitive) {
-    gl.useProgram(program);
-
-    gl.bindAttribLocation(program, 0, "a_position");
-    gl.bindAttribLocation(program, 1, "a_normal");
-
-    gl.bindVertexArray(vao);
-    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, primitive == gl.LINES ? edges_buffer : faces_buffer);
-    gl.drawElements(primitive, primitive == gl.LINES ? edges.length : faces.length, gl.UNSIGNED_SHORT, 0);
-    gl.bindVertexArray(null);
-}
\ No newline at end of file
+    mesh.draw(gl, program, primitive);
+}
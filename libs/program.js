@@ -0,0 +1,107 @@
+import { flatten } from "./MV.js";
+export { createProgramInfo };
+
+
+/**
+ * Shader program wrapper. The active uniforms and attributes are looked up
+ * once, after linking, and uniforms are then set by name with a setter
+ * chosen from their GLSL type:
+ *
+ *      const info = createProgramInfo(gl, program);
+ *      gl.useProgram(info.program);
+ *      info.set('u_color', [1, 0, 0, 1]);
+ *      info.set('u_modelViewMatrix', mModelView);     // MV.js matrices are flattened
+ *      info.set('u_light_position[2]', position);      // one array element
+ *
+ * Names that are not active uniforms (unused by the shaders, or left out of
+ * a variant by its defines) are ignored, so the same upload code serves
+ * every program. As with gl.uniform*, values go to the program in use.
+ *
+ * Members of uniform blocks are set through their buffer instead (see
+ * uniformblock.js); blockBindings gives the binding point of each block.
+ */
+
+/**
+ * @param {WebGLProgram} program : linked program
+ * @param {Object} blockBindings : optional { blockName: binding point }, for
+ *        the blocks the program declares
+ * @returns {Object} { program, uniforms, attributes, has(name), set(name, value) }
+ *          uniforms maps names to { location, type, size }, attributes
+ *          names to locations
+ */
+function createProgramInfo(gl, program, blockBindings = {}) {
+    for (const name in blockBindings) {
+        const index = gl.getUniformBlockIndex(program, name);
+        if (index !== gl.INVALID_INDEX) gl.uniformBlockBinding(program, index, blockBindings[name]);
+    }
+
+    const uniforms = {};
+    const setters = new Map();
+
+    const nUniforms = gl.getProgramParameter(program, gl.ACTIVE_UNIFORMS);
+    for (let i = 0; i < nUniforms; i++) {
+        const info = gl.getActiveUniform(program, i);
+        if (!info) continue;
+
+        // Arrays are reported once as "name[0]": the plain name sets the
+        // whole array, "name[i]" one element
+        const isArray = info.name.endsWith('[0]');
+        const base = isArray ? info.name.slice(0, -3) : info.name;
+
+        const add = (name) => {
+            const location = gl.getUniformLocation(program, name);
+            if (!location) return;
+            uniforms[name] = { location, type: info.type, size: info.size };
+            setters.set(name, _uniformSetter(gl, info.type, location));
+        };
+
+        add(info.name);
+        if (isArray) {
+            setters.set(base, setters.get(info.name));
+            for (let j = 1; j < info.size; j++) add(`${base}[${j}]`);
+        }
+    }
+
+    const attributes = {};
+    const nAttributes = gl.getProgramParameter(program, gl.ACTIVE_ATTRIBUTES);
+    for (let i = 0; i < nAttributes; i++) {
+        const info = gl.getActiveAttrib(program, i);
+        if (info) attributes[info.name] = gl.getAttribLocation(program, info.name);
+    }
+
+    return {
+        program,
+        uniforms,
+        attributes,
+        has: (name) => setters.has(name),
+        set(name, value) {
+            const setter = setters.get(name);
+            if (setter) setter(value);
+        }
+    };
+}
+
+function _uniformSetter(gl, type, location) {
+    // MV.js matrices are row-major: flatten transposes them
+    const matrix = (value) => (value.matrix ? flatten(value) : value);
+    const int = (value) => (typeof value === 'boolean' ? Number(value) : value);
+
+    switch (type) {
+        case gl.FLOAT:
+            return (v) => (typeof v === 'number' ? gl.uniform1f(location, v) : gl.uniform1fv(location, v));
+        case gl.FLOAT_VEC2: return (v) => gl.uniform2fv(location, v);
+        case gl.FLOAT_VEC3: return (v) => gl.uniform3fv(location, v);
+        case gl.FLOAT_VEC4: return (v) => gl.uniform4fv(location, v);
+        case gl.INT_VEC2: case gl.BOOL_VEC2: return (v) => gl.uniform2iv(location, v);
+        case gl.INT_VEC3: case gl.BOOL_VEC3: return (v) => gl.uniform3iv(location, v);
+        case gl.INT_VEC4: case gl.BOOL_VEC4: return (v) => gl.uniform4iv(location, v);
+        case gl.UNSIGNED_INT:
+            return (v) => (typeof v === 'number' ? gl.uniform1ui(location, v) : gl.uniform1uiv(location, v));
+        case gl.FLOAT_MAT2: return (v) => gl.uniformMatrix2fv(location, false, matrix(v));
+        case gl.FLOAT_MAT3: return (v) => gl.uniformMatrix3fv(location, false, matrix(v));
+        case gl.FLOAT_MAT4: return (v) => gl.uniformMatrix4fv(location, false, matrix(v));
+        default:
+            // int, bool and the samplers (texture unit)
+            return (v) => (typeof v === 'object' ? gl.uniform1iv(location, v) : gl.uniform1i(location, int(v)));
+    }
+}
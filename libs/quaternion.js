@@ -0,0 +1,89 @@
+import { vec3, vec4, cross, normalize, add, scale } from "./MV.js";
+export { lookRotation, quatFromMatrix, quatSlerp, quatRotate };
+
+
+/**
+ * Unit quaternions, stored as vec4(x, y, z, w), used to interpolate
+ * camera orientations without the artifacts of interpolating the
+ * eye/at/up vectors (or Euler angles) separately.
+ */
+
+/**
+ * Rotation of a camera looking along forward with the given up vector:
+ * takes -Z to forward and +Y to up (made orthogonal), as lookAt does.
+ */
+function lookRotation(forward, up) {
+    const f = normalize(vec3(forward[0], forward[1], forward[2]));
+    const r = normalize(cross(f, up));
+    const u = cross(r, f);
+
+    // Columns: right, up, back
+    return quatFromMatrix([
+        [r[0], u[0], -f[0]],
+        [r[1], u[1], -f[1]],
+        [r[2], u[2], -f[2]]
+    ]);
+}
+
+/**
+ * Quaternion of a rotation matrix (the upper 3x3 of m, row-major).
+ */
+function quatFromMatrix(m) {
+    const trace = m[0][0] + m[1][1] + m[2][2];
+
+    let q;
+    if (trace > 0) {
+        const s = 2 * Math.sqrt(trace + 1);
+        q = vec4((m[2][1] - m[1][2]) / s, (m[0][2] - m[2][0]) / s, (m[1][0] - m[0][1]) / s, s / 4);
+    } else if (m[0][0] > m[1][1] && m[0][0] > m[2][2]) {
+        const s = 2 * Math.sqrt(1 + m[0][0] - m[1][1] - m[2][2]);
+        q = vec4(s / 4, (m[0][1] + m[1][0]) / s, (m[0][2] + m[2][0]) / s, (m[2][1] - m[1][2]) / s);
+    } else if (m[1][1] > m[2][2]) {
+        const s = 2 * Math.sqrt(1 + m[1][1] - m[0][0] - m[2][2]);
+        q = vec4((m[0][1] + m[1][0]) / s, s / 4, (m[1][2] + m[2][1]) / s, (m[0][2] - m[2][0]) / s);
+    } else {
+        const s = 2 * Math.sqrt(1 + m[2][2] - m[0][0] - m[1][1]);
+        q = vec4((m[0][2] + m[2][0]) / s, (m[1][2] + m[2][1]) / s, s / 4, (m[1][0] - m[0][1]) / s);
+    }
+    return normalize(q);
+}
+
+/**
+ * Spherical interpolation from a (t = 0) to b (t = 1) along the shortest arc.
+ */
+function quatSlerp(a, b, t) {
+    let d = a[0] * b[0] + a[1] * b[1] + a[2] * b[2] + a[3] * b[3];
+
+    // q and -q are the same rotation: take the closest one
+    let sign = 1;
+    if (d < 0) {
+        d = -d;
+        sign = -1;
+    }
+
+    let wa, wb;
+    if (d > 0.9995) {
+        // Almost the same rotation: linear interpolation is accurate enough
+        wa = 1 - t;
+        wb = t;
+    } else {
+        const theta = Math.acos(d);
+        wa = Math.sin((1 - t) * theta) / Math.sin(theta);
+        wb = Math.sin(t * theta) / Math.sin(theta);
+    }
+    wb *= sign;
+
+    return normalize(vec4(
+        wa * a[0] + wb * b[0],
+        wa * a[1] + wb * b[1],
+        wa * a[2] + wb * b[2],
+        wa * a[3] + wb * b[3]
+    ));
+}
+
+// Rotate the vector v by the unit quaternion q
+function quatRotate(q, v) {
+    const u = vec3(q[0], q[1], q[2]);
+    const t = scale(2, cross(u, v));
+    return add(add(v, scale(q[3], t)), cross(u, t));
+}
@@ -0,0 +1,244 @@
+export { SCENE_FORMAT, SCENE_VERSION, parseScene, validateScene, stringifyScene };
+
+
+/**
+ * Scene files: JSON documents with the state of the scene (camera, lights,
+ * options and the transform/material of the scene graph nodes).
+ *
+ * {
+ *   "format": "cgi-scene",
+ *   "version": 1,
+ *   "camera":  { "eye": [x,y,z], "at": [x,y,z], "up": [x,y,z], "fovy", "near", "far",
+ *                "projection": "Perspective" | "Orthographic", "orthoSize" (both optional) },
+ *   "bookmarks": [ { "name", "eye": [x,y,z], "at": [x,y,z], "up": [x,y,z], "fovy" } ] (optional),
+ *   "cameraPath": { "duration", "loop", "keys": [ { "eye", "at", "up", "fovy" } ] } (optional),
+ *   "options": { "backfaceCulling", "depthTest", "lightCoords": "Camera" | "World",
+ *                "shading": "Phong" | "Gouraud" | "Blinn-Phong" | "PBR",
+ *                "lightHelpers", "frustumCulling", "stats" (optional) },
+ *   "lights":  [ { "enabled", "type": 0 | 1 | 2, "position": [x,y,z,w], "axis": [x,y,z],
+ *                  "aperture", "cutoff", "castShadows", "shadowBias",
+ *                  "innerAperture" (optional, default aperture: hard edge),
+ *                  "attenuation": [constant, linear, quadratic] (optional, default [1,0,0]),
+ *                  "ambient": [r,g,b], "diffuse": [r,g,b], "specular": [r,g,b],
+ *                  "node": path of the node the light is attached to, or null } ],
+ *   "nodes":   [ { "path": "Desk lamp/Lower arm", "translation": [x,y,z],
+ *                  "rotation": [x,y,z], "scale": [x,y,z],
+ *                  "material": { "Ka", "Kd", "Ks", "shininess",
+ *                                "metallic", "roughness" (optional, 0..1) } (optional),
+ *                  "materials": { name: material } (optional, per OBJ group) } ]
+ * }
+ *
+ * Colors are in the 0..255 range, angles in degrees. Textures are not saved.
+ * The version is increased on incompatible changes; older versions are
+ * rejected until a migration is written for them.
+ */
+
+const SCENE_FORMAT = 'cgi-scene';
+const SCENE_VERSION = 1;
+
+/**
+ * Parse and validate the text of a scene file.
+ * @throws {Error} when the text is not JSON or not a valid scene
+ */
+function parseScene(text) {
+    let doc;
+    try {
+        doc = JSON.parse(text);
+    } catch (err) {
+        throw new Error(`Invalid scene file: not JSON (${err.message})`);
+    }
+    return validateScene(doc);
+}
+
+/**
+ * Check the structure of a parsed scene document.
+ * @returns {Object} doc
+ * @throws {Error} naming the first invalid field
+ */
+function validateScene(doc) {
+    _expectObject(doc, 'scene');
+
+    if (doc.format !== SCENE_FORMAT) {
+        _fail('format', `expected "${SCENE_FORMAT}"`);
+    }
+    if (!Number.isInteger(doc.version)) {
+        _fail('version', 'expected an integer');
+    }
+    if (doc.version !== SCENE_VERSION) {
+        _fail('version', `version ${doc.version} is not supported (expected ${SCENE_VERSION})`);
+    }
+
+    _expectObject(doc.camera, 'camera');
+    _expectVector(doc.camera.eye, 3, 'camera.eye');
+    _expectVector(doc.camera.at, 3, 'camera.at');
+    _expectVector(doc.camera.up, 3, 'camera.up');
+    _expectNumber(doc.camera.fovy, 'camera.fovy');
+    _expectNumber(doc.camera.near, 'camera.near');
+    _expectNumber(doc.camera.far, 'camera.far');
+    if (doc.camera.projection !== undefined) {
+        _expectOneOf(doc.camera.projection, ['Perspective', 'Orthographic'], 'camera.projection');
+    }
+    if (doc.camera.orthoSize !== undefined) {
+        _expectNumber(doc.camera.orthoSize, 'camera.orthoSize');
+        if (doc.camera.orthoSize <= 0) _fail('camera.orthoSize', 'expected a positive number');
+    }
+
+    if (doc.bookmarks !== undefined) {
+        _expectArray(doc.bookmarks, 'bookmarks');
+        doc.bookmarks.forEach((bookmark, i) => _validateBookmark(bookmark, `bookmarks[${i}]`));
+    }
+
+    if (doc.cameraPath !== undefined) {
+        _validateCameraPath(doc.cameraPath, 'cameraPath');
+    }
+
+    _expectObject(doc.options, 'options');
+    _expectBoolean(doc.options.backfaceCulling, 'options.backfaceCulling');
+    _expectBoolean(doc.options.depthTest, 'options.depthTest');
+    _expectOneOf(doc.options.lightCoords, ['Camera', 'World'], 'options.lightCoords');
+    _expectOneOf(doc.options.shading, ['Phong', 'Gouraud', 'Blinn-Phong', 'PBR'], 'options.shading');
+    for (const key of ['lightHelpers', 'frustumCulling', 'stats']) {
+        if (doc.options[key] !== undefined) _expectBoolean(doc.options[key], `options.${key}`);
+    }
+
+    _expectArray(doc.lights, 'lights');
+    doc.lights.forEach((light, i) => _validateLight(light, `lights[${i}]`));
+
+    _expectArray(doc.nodes, 'nodes');
+    doc.nodes.forEach((node, i) => _validateNode(node, `nodes[${i}]`));
+
+    return doc;
+}
+
+function stringifyScene(doc) {
+    return JSON.stringify(doc, null, 2);
+}
+
+function _validateBookmark(bookmark, path) {
+    _expectObject(bookmark, path);
+    if (typeof bookmark.name !== 'string') _fail(`${path}.name`, 'expected a string');
+    _expectVector(bookmark.eye, 3, `${path}.eye`);
+    _expectVector(bookmark.at, 3, `${path}.at`);
+    _expectVector(bookmark.up, 3, `${path}.up`);
+    _expectNumber(bookmark.fovy, `${path}.fovy`);
+}
+
+function _validateCameraPath(cameraPath, path) {
+    _expectObject(cameraPath, path);
+    _expectNumber(cameraPath.duration, `${path}.duration`);
+    if (cameraPath.duration <= 0) _fail(`${path}.duration`, 'expected a positive number');
+    _expectBoolean(cameraPath.loop, `${path}.loop`);
+    _expectArray(cameraPath.keys, `${path}.keys`);
+    cameraPath.keys.forEach((key, i) => {
+        const keyPath = `${path}.keys[${i}]`;
+        _expectObject(key, keyPath);
+        _expectVector(key.eye, 3, `${keyPath}.eye`);
+        _expectVector(key.at, 3, `${keyPath}.at`);
+        _expectVector(key.up, 3, `${keyPath}.up`);
+        _expectNumber(key.fovy, `${keyPath}.fovy`);
+    });
+}
+
+function _validateLight(light, path) {
+    _expectObject(light, path);
+    _expectBoolean(light.enabled, `${path}.enabled`);
+    _expectOneOf(light.type, [0, 1, 2], `${path}.type`);
+    _expectVector(light.position, 4, `${path}.position`);
+    _expectVector(light.axis, 3, `${path}.axis`);
+    _expectNumber(light.aperture, `${path}.aperture`);
+    if (light.innerAperture !== undefined) {
+        _expectNumber(light.innerAperture, `${path}.innerAperture`);
+    }
+    _expectNumber(light.cutoff, `${path}.cutoff`);
+    if (light.attenuation !== undefined) {
+        _expectVector(light.attenuation, 3, `${path}.attenuation`);
+        if (light.attenuation.some((k) => k < 0) || light.attenuation.every((k) => k === 0)) {
+            _fail(`${path}.attenuation`, 'expected non-negative coefficients, not all zero');
+        }
+    }
+    _expectBoolean(light.castShadows, `${path}.castShadows`);
+    _expectNumber(light.shadowBias, `${path}.shadowBias`);
+    _expectColor(light.ambient, `${path}.ambient`);
+    _expectColor(light.diffuse, `${path}.diffuse`);
+    _expectColor(light.specular, `${path}.specular`);
+
+    if (light.node !== null && typeof light.node !== 'string') {
+        _fail(`${path}.node`, 'expected a node path or null');
+    }
+}
+
+function _validateNode(node, path) {
+    _expectObject(node, path);
+    if (typeof node.path !== 'string' || node.path === '') {
+        _fail(`${path}.path`, 'expected a non-empty string');
+    }
+    _expectVector(node.translation, 3, `${path}.translation`);
+    _expectVector(node.rotation, 3, `${path}.rotation`);
+    _expectVector(node.scale, 3, `${path}.scale`);
+
+    if (node.material !== undefined) {
+        _validateMaterial(node.material, `${path}.material`);
+    }
+    if (node.materials !== undefined) {
+        _expectObject(node.materials, `${path}.materials`);
+        for (const name in node.materials) {
+            _validateMaterial(node.materials[name], `${path}.materials.${name}`);
+        }
+    }
+}
+
+function _validateMaterial(material, path) {
+    _expectObject(material, path);
+    _expectColor(material.Ka, `${path}.Ka`);
+    _expectColor(material.Kd, `${path}.Kd`);
+    _expectColor(material.Ks, `${path}.Ks`);
+    _expectNumber(material.shininess, `${path}.shininess`);
+
+    for (const key of ['metallic', 'roughness']) {
+        if (material[key] === undefined) continue;
+        _expectNumber(material[key], `${path}.${key}`);
+        if (material[key] < 0 || material[key] > 1) _fail(`${path}.${key}`, 'expected a value between 0 and 1');
+    }
+}
+
+function _fail(path, message) {
+    throw new Error(`Invalid scene file: ${path}: ${message}`);
+}
+
+function _expectObject(value, path) {
+    if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+        _fail(path, 'expected an object');
+    }
+}
+
+function _expectArray(value, path) {
+    if (!Array.isArray(value)) _fail(path, 'expected an array');
+}
+
+function _expectNumber(value, path) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) _fail(path, 'expected a number');
+}
+
+function _expectBoolean(value, path) {
+    if (typeof value !== 'boolean') _fail(path, 'expected true or false');
+}
+
+function _expectOneOf(value, allowed, path) {
+    if (!allowed.includes(value)) {
+        _fail(path, `expected one of ${allowed.map((v) => JSON.stringify(v)).join(', ')}`);
+    }
+}
+
+function _expectVector(value, size, path) {
+    if (!Array.isArray(value) || value.length !== size) {
+        _fail(path, `expected an array of ${size} numbers`);
+    }
+    value.forEach((v, i) => _expectNumber(v, `${path}[${i}]`));
+}
+
+function _expectColor(value, path) {
+    _expectVector(value, 3, path);
+    value.forEach((v, i) => {
+        if (v < 0 || v > 255) _fail(`${path}[${i}]`, 'expected a value between 0 and 255');
+    });
+}
@@ -0,0 +1,132 @@
+import { vec3 } from "./MV.js";
+import { transformBounds } from "./objects/mesh.js";
+import { modelView, loadIdentity, loadMatrix, pushMatrix, popMatrix, multTranslation, multScale, multRotationX, multRotationY, multRotationZ } from "./stack.js";
+export { createNode, addChild, removeChild, traverse, findNode, getNodePath, findNodeByPath, updateWorldMatrices };
+
+
+/**
+ * Scene graph nodes. Every node has a local transformation given by its
+ * translation, rotation (degrees around X, Y and Z) and scale components:
+ *
+ *      local = T * Rz * Ry * Rx * S
+ *
+ * and its world matrix is the product of the local matrices from the root
+ * down to it, computed with the matrix stack (stack.js).
+ *
+ * Nodes without an object only group/transform their children (joints).
+ * Nodes with one also get the bounds of the object in world coordinates,
+ * worldBounds ({ min, max, center, radius }, see objects/mesh.js).
+ */
+
+/**
+ * @param {string} name
+ * @param {Object} props : optional { object, material, materials, translation, rotation, scale }
+ *        object is a mesh (see objects/mesh.js), materials the per group materials of OBJ models
+ */
+function createNode(name, props = {}) {
+    const t = props.translation || [0, 0, 0];
+    const r = props.rotation || [0, 0, 0];
+    const s = props.scale || [1, 1, 1];
+
+    return {
+        name,
+        object: props.object || null,
+        material: props.material || null,
+        materials: props.materials || null,
+        translation: vec3(t[0], t[1], t[2]),
+        rotation: vec3(r[0], r[1], r[2]),
+        scale: vec3(s[0], s[1], s[2]),
+        parent: null,
+        children: [],
+        worldMatrix: null,
+        worldBounds: null
+    };
+}
+
+// Attach child to parent (detaching it from its previous parent). Returns the child.
+function addChild(parent, child) {
+    if (child.parent) removeChild(child.parent, child);
+
+    child.parent = parent;
+    parent.children.push(child);
+    return child;
+}
+
+function removeChild(parent, child) {
+    const idx = parent.children.indexOf(child);
+    if (idx < 0) return;
+
+    parent.children.splice(idx, 1);
+    child.parent = null;
+}
+
+// Depth-first, parents before their children. fn(node, depth)
+function traverse(node, fn, depth = 0) {
+    fn(node, depth);
+    for (const child of node.children) {
+        traverse(child, fn, depth + 1);
+    }
+}
+
+// First node (depth-first) with the given name, or null
+function findNode(root, name) {
+    if (root.name === name) return root;
+
+    for (const child of root.children) {
+        const found = findNode(child, name);
+        if (found) return found;
+    }
+    return null;
+}
+
+// Names from the root's child down to node, separated by '/' (the root is not included)
+function getNodePath(node) {
+    const names = [];
+    for (let n = node; n.parent; n = n.parent) {
+        names.unshift(n.name);
+    }
+    return names.join('/');
+}
+
+// Inverse of getNodePath: the node at path below root, or null
+function findNodeByPath(root, path) {
+    let node = root;
+    for (const name of path.split('/')) {
+        node = node.children.find((child) => child.name === name);
+        if (!node) return null;
+    }
+    return node;
+}
+
+/**
+ * Recompute node.worldMatrix (and node.worldBounds) for root and all its descendants.
+ * @param {mat4} parentMatrix : optional world matrix of the parent of root
+ */
+function updateWorldMatrices(root, parentMatrix) {
+    pushMatrix();
+    if (parentMatrix) loadMatrix(parentMatrix);
+    else loadIdentity();
+
+    _update(root);
+
+    popMatrix();
+}
+
+function _update(node) {
+    pushMatrix();
+
+    multTranslation(node.translation);
+    multRotationZ(node.rotation[2]);
+    multRotationY(node.rotation[1]);
+    multRotationX(node.rotation[0]);
+    multScale(node.scale);
+
+    node.worldMatrix = modelView();
+    node.worldBounds = node.object ? transformBounds(node.object.bounds, node.worldMatrix) : null;
+
+    for (const child of node.children) {
+        _update(child);
+    }
+
+    popMatrix();
+}
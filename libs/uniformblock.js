@@ -0,0 +1,152 @@
+export { createUniformBlock };
+
+
+/**
+ * Uniform buffer for a std140 uniform block shared by several programs
+ * (every program declaring the block binds it to the same binding point,
+ * see createProgramInfo in program.js).
+ *
+ * The buffer holds several copies of the block, the sections (e.g. one per
+ * viewport), and bind(section) makes one of them current. Values are
+ * written into a copy of the buffer kept in memory; a section is only sent
+ * to the GPU when it is bound after one of its values changed.
+ *
+ *      const block = createUniformBlock(gl, program, 'Camera', 0, 4);
+ *      block.set(2, 'u_projectionMatrix', mProjection);
+ *      block.bind(2);
+ */
+
+/**
+ * @param {WebGLProgram} program : any linked program declaring the block,
+ *        used to query its layout
+ * @param {string} blockName
+ * @param {number} binding : uniform buffer binding point
+ * @param {number} sections : copies of the block in the buffer
+ * @returns {Object} { set(section, name, value), bind(section), dispose() }
+ * @throws {Error} when the program has no such block
+ */
+function createUniformBlock(gl, program, blockName, binding, sections = 1) {
+    const blockIndex = gl.getUniformBlockIndex(program, blockName);
+    if (blockIndex === gl.INVALID_INDEX) {
+        throw new Error(`Uniform block ${blockName} not found in the program`);
+    }
+
+    // Sections start at multiples of the offset alignment
+    const size = gl.getActiveUniformBlockParameter(program, blockIndex, gl.UNIFORM_BLOCK_DATA_SIZE);
+    const alignment = gl.getParameter(gl.UNIFORM_BUFFER_OFFSET_ALIGNMENT);
+    const stride = Math.ceil(size / alignment) * alignment;
+
+    const members = _queryMembers(gl, program, blockIndex);
+
+    const data = new ArrayBuffer(stride * sections);
+    const floats = new Float32Array(data);
+    const ints = new Int32Array(data);
+    const dirty = new Array(sections).fill(true);
+
+    const buffer = gl.createBuffer();
+    gl.bindBuffer(gl.UNIFORM_BUFFER, buffer);
+    gl.bufferData(gl.UNIFORM_BUFFER, data.byteLength, gl.DYNAMIC_DRAW);
+    gl.bindBuffer(gl.UNIFORM_BUFFER, null);
+
+    /**
+     * Write a member ("name", or "name[i]" for an array element). Numbers,
+     * booleans, vectors and MV.js matrices are accepted; unknown names are
+     * ignored.
+     */
+    function set(section, name, value) {
+        const member = members.get(name);
+        if (!member) return;
+
+        const base = (section * stride + member.offset) / 4;
+        const target = member.isInt ? ints : floats;
+        const write = (i, v) => {
+            const x = member.isInt ? Number(v) | 0 : Math.fround(v);
+            if (target[i] !== x) {
+                target[i] = x;
+                dirty[section] = true;
+            }
+        };
+
+        if (member.columns === 1) {
+            if (member.rows === 1) write(base, value);
+            else for (let r = 0; r < member.rows; r++) write(base + r, value[r]);
+            return;
+        }
+
+        // Matrices are stored by columns: MV.js matrices are arrays of rows
+        const columnStride = member.matrixStride / 4;
+        for (let c = 0; c < member.columns; c++) {
+            for (let r = 0; r < member.rows; r++) {
+                write(base + c * columnStride + r, value.matrix ? value[r][c] : value[c * member.rows + r]);
+            }
+        }
+    }
+
+    // Upload the section if it changed and bind it to the binding point
+    function bind(section) {
+        const offset = section * stride;
+        if (dirty[section]) {
+            gl.bindBuffer(gl.UNIFORM_BUFFER, buffer);
+            gl.bufferSubData(gl.UNIFORM_BUFFER, offset, floats, offset / 4, size / 4);
+            gl.bindBuffer(gl.UNIFORM_BUFFER, null);
+            dirty[section] = false;
+        }
+        gl.bindBufferRange(gl.UNIFORM_BUFFER, binding, buffer, offset, size);
+    }
+
+    function dispose() {
+        gl.deleteBuffer(buffer);
+    }
+
+    return { set, bind, dispose };
+}
+
+// name -> { offset, rows, columns, matrixStride, isInt }, with an entry per array element
+function _queryMembers(gl, program, blockIndex) {
+    const indices = gl.getActiveUniformBlockParameter(program, blockIndex, gl.UNIFORM_BLOCK_ACTIVE_UNIFORM_INDICES);
+    const query = (pname) => gl.getActiveUniforms(program, indices, pname);
+
+    const offsets = query(gl.UNIFORM_OFFSET);
+    const types = query(gl.UNIFORM_TYPE);
+    const sizes = query(gl.UNIFORM_SIZE);
+    const arrayStrides = query(gl.UNIFORM_ARRAY_STRIDE);
+    const matrixStrides = query(gl.UNIFORM_MATRIX_STRIDE);
+
+    const shapes = _shapes(gl);
+    const members = new Map();
+    Array.from(indices).forEach((index, k) => {
+        const name = gl.getActiveUniform(program, index).name;
+        const shape = shapes.get(types[k]);
+        if (!shape) return;
+
+        const member = (offset) => ({ offset, matrixStride: matrixStrides[k], ...shape });
+
+        if (name.endsWith('[0]')) {
+            const base = name.slice(0, -3);
+            for (let i = 0; i < sizes[k]; i++) {
+                members.set(`${base}[${i}]`, member(offsets[k] + i * arrayStrides[k]));
+            }
+        } else {
+            members.set(name, member(offsets[k]));
+        }
+    });
+    return members;
+}
+
+// GLSL type -> { rows, columns, isInt } (booleans are stored as ints)
+function _shapes(gl) {
+    const shape = (rows, columns, isInt = false) => ({ rows, columns, isInt });
+    return new Map([
+        [gl.FLOAT, shape(1, 1)],
+        [gl.FLOAT_VEC2, shape(2, 1)],
+        [gl.FLOAT_VEC3, shape(3, 1)],
+        [gl.FLOAT_VEC4, shape(4, 1)],
+        [gl.INT, shape(1, 1, true)],
+        [gl.INT_VEC2, shape(2, 1, true)],
+        [gl.INT_VEC3, shape(3, 1, true)],
+        [gl.INT_VEC4, shape(4, 1, true)],
+        [gl.BOOL, shape(1, 1, true)],
+        [gl.FLOAT_MAT3, shape(3, 3)],
+        [gl.FLOAT_MAT4, shape(4, 4)]
+    ]);
+}
@@ -94,6 +94,9 @@ var create3DContext = function (canvas, opt_attribs) {
  */
 export async function loadJSONFile(url) {
   const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error("Could not load " + url + " (" + response.status + ")");
+  }
   return await response.json();
 }
 
@@ -102,8 +105,11 @@ export async function loadJSONFile(url) {
  * @param {string} url 
  * @returns 
  */
-async function loadTextFile(url) {
+export async function loadTextFile(url) {
   const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error("Could not load " + url + " (" + response.status + ")");
+  }
   return await response.text();
 }
 
@@ -140,20 +146,41 @@ export function loadShadersFromScripts(ids) {
   return dict;
 }
 
+/**
+ * Inserts a #define line for each entry of defines right after the
+ * #version directive (which must remain the first line of the source).
+ * @param {string} shaderSrc 
+ * @param {Object} defines : map of NAME -> value
+ * @returns {string} the preprocessed source
+ */
+export function injectShaderDefines(shaderSrc, defines) {
+  if (!shaderSrc || !defines) return shaderSrc;
+
+  var lines = Object.keys(defines).map(name => "#define " + name + " " + defines[name]);
+  if (lines.length == 0) return shaderSrc;
+
+  var match = shaderSrc.match(/^\s*#version[^\n]*\n/);
+  var header = match ? match[0] : "";
+
+  return header + lines.join("\n") + "\n" + shaderSrc.substring(header.length);
+}
+
 /**
  * 
  * @param {WebGL2RenderingContext} gl 
  * @param {string} vShaderSrc 
  * @param {string} fShaderSrc 
+ * @param {string[]} trfFeedbackVaryings 
+ * @param {Object} defines : optional map of NAME -> value injected in both shaders
  * @returns {WebGLProgram}
  */
-export function buildProgramFromSources(gl, vShaderSrc, fShaderSrc, trfFeedbackVaryings) {
+export function buildProgramFromSources(gl, vShaderSrc, fShaderSrc, trfFeedbackVaryings, defines) {
   function getShader(gl, shaderSrc, type) {
     var shader = gl.createShader(type);
     if (!shaderSrc) {
       alert("Could not find shader source");
     }
-    gl.shaderSource(shader, shaderSrc);
+    gl.shaderSource(shader, injectShaderDefines(shaderSrc, defines));
     gl.compileShader(shader);
 
     if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
@@ -0,0 +1,11 @@
+#version 300 es
+
+precision highp float;
+
+uniform vec4 u_color; // object ID when picking, tint when highlighting
+
+out vec4 color;
+
+void main() {
+    color = u_color;
+}
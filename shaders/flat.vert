@@ -0,0 +1,21 @@
+#version 300 es
+
+precision highp float;
+
+// Single color pass (picking IDs, selection highlight)
+layout(location = 0) in vec3 a_position;
+
+// Model matrix of the copies drawn with createInstancedMesh (identity otherwise)
+layout(location = 3) in mat4 a_instanceMatrix;
+
+uniform mat4 u_modelViewMatrix;
+
+// Camera of the viewport being drawn: std140 uniform buffer shared by all
+// the programs (see useViewport in app.js)
+layout(std140) uniform Camera {
+    highp mat4 u_projectionMatrix;
+};
+
+void main() {
+    gl_Position = u_projectionMatrix * u_modelViewMatrix * a_instanceMatrix * vec4(a_position, 1.0);
+}
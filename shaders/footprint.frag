@@ -0,0 +1,105 @@
+#version 300 es
+
+precision highp float;
+
+// Injected by app.js when the program is built (see MAX_LIGHTS there)
+#ifndef MAX_LIGHTS
+#define MAX_LIGHTS 8
+#endif
+
+// Outlines of the outer (aperture) and inner cones of the spotlights where
+// their light lands: a fragment is on an outline when the angle between the
+// spotlight axis and the direction to it is the cone half angle, and only
+// when it faces the spotlight and is not in its shadow.
+
+in vec3 v_position; // camera coordinates
+in vec3 v_normal;   // camera coordinates
+
+// Lights in camera coordinates: std140 uniform buffer shared by all the
+// programs (see uploadLights in app.js). The block must be the same in
+// every shader that declares it.
+layout(std140) uniform Lights {
+    mediump int   u_n_lights;
+    mediump vec3  u_light_ambient[MAX_LIGHTS];
+    mediump vec3  u_light_diffuse[MAX_LIGHTS];
+    mediump vec3  u_light_specular[MAX_LIGHTS];
+    mediump vec4  u_light_position[MAX_LIGHTS];
+    mediump vec3  u_light_axis[MAX_LIGHTS];
+    mediump float u_light_aperture[MAX_LIGHTS];
+    mediump float u_light_inner_aperture[MAX_LIGHTS];
+    mediump float u_light_cutoff[MAX_LIGHTS];
+    mediump int   u_light_type[MAX_LIGHTS];
+    mediump int   u_light_enabled[MAX_LIGHTS];
+    mediump vec3  u_light_attenuation[MAX_LIGHTS];  // constant, linear, quadratic
+
+    // Shadow mapping (see renderShadowMaps in app.js)
+    mediump int   u_light_shadow[MAX_LIGHTS];       // 1 if the light casts shadows
+    highp   float u_light_shadowBias[MAX_LIGHTS];   // depth bias
+    highp   float u_light_shadowFar[MAX_LIGHTS];    // far plane of point/spot lights
+    highp   mat4  u_light_shadowMatrix[MAX_LIGHTS]; // eye -> shadow map (point: -> light centered)
+};
+
+// Layers [6*i, 6*i+5] belong to light i: directional and spot lights only use
+// the first one, point lights use all six as the faces of a cube map.
+uniform highp sampler2DArrayShadow u_shadowMaps;
+
+uniform int u_n_spots;
+uniform int   u_spot_light[MAX_LIGHTS];     // index of the spotlight in the Lights block
+uniform vec3  u_spot_position[MAX_LIGHTS];  // camera coordinates
+uniform vec3  u_spot_axis[MAX_LIGHTS];      // camera coordinates, normalized
+uniform float u_spot_outer[MAX_LIGHTS];     // half angles (radians)
+uniform float u_spot_inner[MAX_LIGHTS];
+
+uniform vec4 u_outer_color;
+uniform vec4 u_inner_color;
+
+out vec4 color;
+
+// 1 on the outline, fading to 0 about one and a half pixels away from it
+float outline(float angle, float halfAngle) {
+    float width = 1.5 * fwidth(angle);
+    return 1.0 - smoothstep(0.0, width, abs(angle - halfAngle));
+}
+
+// Fraction of spotlight i (index in the Lights block) that reaches position,
+// with a single bilinear lookup (see shadowFactor in phong.frag)
+float spotShadow(int i, vec3 position) {
+    if (u_light_shadow[i] == 0) return 1.0;
+
+    vec4 coords = u_light_shadowMatrix[i] * vec4(position, 1.0);
+    coords.xyz /= coords.w;
+    if (coords.w <= 0.0 || any(lessThan(coords.xy, vec2(0.0))) || any(greaterThan(coords.xy, vec2(1.0))))
+        return 1.0;
+
+    // Beyond the far plane the stored depth is clamped to 1: treat as lit
+    float ref = length(position - u_light_position[i].xyz) / u_light_shadowFar[i];
+    if (ref >= 1.0) return 1.0;
+
+    return texture(u_shadowMaps, vec4(coords.xy, float(6 * i), ref - u_light_shadowBias[i]));
+}
+
+void main() {
+    vec3 N = normalize(v_normal);
+
+    color = vec4(0.0);
+
+    for (int i = 0; i < MAX_LIGHTS; i++) {
+        if (i >= u_n_spots) break;
+
+        vec3 L = normalize(v_position - u_spot_position[i]);
+
+        // Surfaces facing away from the spotlight get none of its light
+        if (dot(N, L) >= 0.0) continue;
+
+        float angle = acos(clamp(dot(L, u_spot_axis[i]), -1.0, 1.0));
+        float lit = spotShadow(u_spot_light[i], v_position);
+
+        float outer = outline(angle, u_spot_outer[i]) * u_outer_color.a * lit;
+        float inner = outline(angle, u_spot_inner[i]) * u_inner_color.a * lit;
+
+        if (outer > color.a) color = vec4(u_outer_color.rgb, outer);
+        if (inner > color.a) color = vec4(u_inner_color.rgb, inner);
+    }
+
+    if (color.a <= 0.0) discard;
+}
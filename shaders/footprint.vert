@@ -0,0 +1,29 @@
+#version 300 es
+
+precision highp float;
+
+// Spotlight footprints, drawn over the scene objects (see footprint.frag)
+layout(location = 0) in vec3 a_position;
+layout(location = 1) in vec3 a_normal;
+
+// Model matrix of the copies drawn with createInstancedMesh (identity otherwise)
+layout(location = 3) in mat4 a_instanceMatrix;
+
+uniform mat4 u_modelViewMatrix;
+uniform mat3 u_normalMatrix;
+
+// Camera of the viewport being drawn: std140 uniform buffer shared by all
+// the programs (see useViewport in app.js)
+layout(std140) uniform Camera {
+    highp mat4 u_projectionMatrix;
+};
+
+out vec3 v_position; // camera coordinates
+out vec3 v_normal;   // camera coordinates
+
+void main() {
+    vec4 position = u_modelViewMatrix * (a_instanceMatrix * vec4(a_position, 1.0));
+    v_position = position.xyz;
+    v_normal = u_normalMatrix * (mat3(a_instanceMatrix) * a_normal);
+    gl_Position = u_projectionMatrix * position;
+}
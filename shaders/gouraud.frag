@@ -4,9 +4,23 @@ precision mediump float;
 precision mediump int;
 
 in vec3 v_color;
+in vec3 v_specular;
+in vec2 v_texcoord;
+
+// Optional material textures (modulate the diffuse and specular terms)
+uniform sampler2D u_diffuseMap;
+uniform sampler2D u_specularMap;
+uniform int u_useDiffuseMap;
+uniform int u_useSpecularMap;
 
 out vec4 fragColor;
 
 void main() {
-    fragColor = vec4(clamp(v_color, 0.0, 1.0), 1.0);
+    vec3 color = v_color;
+    vec3 specular = v_specular;
+
+    if (u_useDiffuseMap == 1) color *= texture(u_diffuseMap, v_texcoord).rgb;
+    if (u_useSpecularMap == 1) specular *= texture(u_specularMap, v_texcoord).rgb;
+
+    fragColor = vec4(clamp(color + specular, 0.0, 1.0), 1.0);
 }
\ No newline at end of file
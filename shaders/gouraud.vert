@@ -3,42 +3,86 @@
 precision mediump int;
 precision mediump float;
 
-const int MAX_LIGHTS = 3;
-
-in vec3 a_position;
-in vec3 a_normal;
+// Injected by app.js when the program is built (see MAX_LIGHTS there)
+#ifndef MAX_LIGHTS
+#define MAX_LIGHTS 8
+#endif
+
+// Fixed locations shared by every mesh in libs/objects
+layout(location = 0) in vec3 a_position;
+layout(location = 1) in vec3 a_normal;
+layout(location = 2) in vec2 a_texcoord;
+
+// Copies drawn with createInstancedMesh (libs/objects/mesh.js): model
+// matrix (locations 3 to 6) applied before u_modelViewMatrix, and color.
+// Objects drawn on their own get the identity and white.
+layout(location = 3) in mat4 a_instanceMatrix;
+layout(location = 7) in vec3 a_instanceColor;
 
 uniform mat4 u_modelViewMatrix;
-uniform mat4 u_projectionMatrix;
 uniform mat3 u_normalMatrix;
 
-uniform int u_n_lights;
+// Camera of the viewport being drawn: std140 uniform buffer shared by all
+// the programs (see useViewport in app.js)
+layout(std140) uniform Camera {
+    highp mat4 u_projectionMatrix;
+};
 
-// Light arrays
-uniform mediump vec3  u_light_ambient[MAX_LIGHTS];
-uniform mediump vec3  u_light_diffuse[MAX_LIGHTS];
-uniform mediump vec3  u_light_specular[MAX_LIGHTS];
-uniform mediump vec4  u_light_position[MAX_LIGHTS];
-uniform mediump vec3  u_light_axis[MAX_LIGHTS];
-uniform mediump float u_light_aperture[MAX_LIGHTS];
-uniform mediump float u_light_cutoff[MAX_LIGHTS];
-uniform mediump int   u_light_type[MAX_LIGHTS];
-uniform mediump int   u_light_enabled[MAX_LIGHTS];
+// Lights in camera coordinates: std140 uniform buffer shared by all the
+// programs (see uploadLights in app.js). The block must be the same in
+// every shader that declares it.
+layout(std140) uniform Lights {
+    mediump int   u_n_lights;
+    mediump vec3  u_light_ambient[MAX_LIGHTS];
+    mediump vec3  u_light_diffuse[MAX_LIGHTS];
+    mediump vec3  u_light_specular[MAX_LIGHTS];
+    mediump vec4  u_light_position[MAX_LIGHTS];
+    mediump vec3  u_light_axis[MAX_LIGHTS];
+    mediump float u_light_aperture[MAX_LIGHTS];
+    mediump float u_light_inner_aperture[MAX_LIGHTS];
+    mediump float u_light_cutoff[MAX_LIGHTS];
+    mediump int   u_light_type[MAX_LIGHTS];
+    mediump int   u_light_enabled[MAX_LIGHTS];
+    mediump vec3  u_light_attenuation[MAX_LIGHTS];  // constant, linear, quadratic
+
+    // Shadow mapping (see renderShadowMaps in app.js)
+    mediump int   u_light_shadow[MAX_LIGHTS];       // 1 if the light casts shadows
+    highp   float u_light_shadowBias[MAX_LIGHTS];   // depth bias
+    highp   float u_light_shadowFar[MAX_LIGHTS];    // far plane of point/spot lights
+    highp   mat4  u_light_shadowMatrix[MAX_LIGHTS]; // eye -> shadow map (point: -> light centered)
+};
 
 struct MaterialInfo {
     mediump vec3 Ka;
     mediump vec3 Kd;
     mediump vec3 Ks;
     mediump float shininess;
+    mediump float metallic;  // PBR only
+    mediump float roughness; // PBR only
 };
 
 uniform MaterialInfo u_material;
 
-out vec3 v_color; // interpolated color
+// Kept apart so that textures can still be applied per fragment
+out vec3 v_color;    // interpolated ambient + diffuse color
+out vec3 v_specular; // interpolated specular color
+out vec2 v_texcoord; // texture coordinates
+
+// Distance attenuation 1 / (constant + linear * d + quadratic * d^2),
+// directional lights are not attenuated
+float distanceAttenuation(int i, vec3 position) {
+    if (u_light_type[i] == 1) return 1.0;
+
+    vec3 k = u_light_attenuation[i];
+    float d = length(u_light_position[i].xyz - position);
+    return 1.0 / max(k.x + k.y * d + k.z * d * d, 1e-4);
+}
 
 // Same Phong lighting function used here in the vertex
-vec3 phongLighting(vec3 position, vec3 normal, MaterialInfo material) {
-    vec3 color = vec3(0.0);
+void phongLighting(vec3 position, vec3 normal, MaterialInfo material,
+                   out vec3 color, out vec3 specularColor) {
+    color = vec3(0.0);
+    specularColor = vec3(0.0);
 
     for (int i = 0; i < MAX_LIGHTS; i++) {
         if (i >= u_n_lights) break;
@@ -62,16 +106,18 @@ vec3 phongLighting(vec3 position, vec3 normal, MaterialInfo material) {
         if (lightType == 2) {
             vec3 lightDir  = normalize(-u_light_axis[i]);
             float cosAlpha = dot(L, lightDir);
-            float cosAperture = cos(radians(u_light_aperture[i] / 2.0));
+            float cosOuter = cos(radians(u_light_aperture[i] / 2.0));
+            float cosInner = cos(radians(min(u_light_inner_aperture[i], u_light_aperture[i]) / 2.0));
 
-            if (cosAlpha >= cosAperture) {
-                spotAttenuation = pow(max(0.0, cosAlpha), u_light_cutoff[i]);
-            } else {
-                spotAttenuation = 0.0;
-            }
+            // Full intensity inside the inner cone, fading out towards the outer cone
+            float cone = cosInner > cosOuter ? smoothstep(cosOuter, cosInner, cosAlpha)
+                                             : step(cosOuter, cosAlpha);
+            spotAttenuation = cone * pow(max(0.0, cosAlpha), u_light_cutoff[i]);
         }
 
         if (spotAttenuation > 0.0) {
+            float attenuation = spotAttenuation * distanceAttenuation(i, position);
+
             vec3 ambient = (material.Ka / 255.0) * (lightAmbient / 255.0);
 
             float NdotL = max(0.0, dot(normal, L));
@@ -86,19 +132,25 @@ vec3 phongLighting(vec3 position, vec3 normal, MaterialInfo material) {
                            * pow(RdotV, material.shininess);
             }
 
-            color += (ambient + diffuse + specular) * spotAttenuation;
+            color += (ambient + diffuse) * attenuation;
+            specularColor += specular * attenuation;
         }
     }
-
-    return color;
 }
 
 void main() {
-    vec4 positionEye = u_modelViewMatrix * vec4(a_position, 1.0);
-    vec3 normalEye   = normalize(u_normalMatrix * a_normal);
+    // Instance matrices have no non-uniform scaling: they transform the
+    // normals as well
+    vec4 positionEye = u_modelViewMatrix * (a_instanceMatrix * vec4(a_position, 1.0));
+    vec3 normalEye   = normalize(u_normalMatrix * (mat3(a_instanceMatrix) * a_normal));
+
+    MaterialInfo material = u_material;
+    material.Ka *= a_instanceColor;
+    material.Kd *= a_instanceColor;
 
     // Compute Phong lighting per vertex
-    v_color = phongLighting(positionEye.xyz, normalEye, u_material);
+    phongLighting(positionEye.xyz, normalEye, material, v_color, v_specular);
+    v_texcoord = a_texcoord;
 
     gl_Position = u_projectionMatrix * positionEye;
 }
@@ -3,36 +3,220 @@
 precision mediump float;
 precision mediump int;
 
-const int MAX_LIGHTS = 3;
+// Injected by app.js when the program is built (see MAX_LIGHTS there)
+#ifndef MAX_LIGHTS
+#define MAX_LIGHTS 8
+#endif
+
+// Lighting model, also injected by app.js: Phong by default, BLINN_PHONG
+// for the half-vector specular, PBR for metallic/roughness Cook-Torrance.
 
 in vec3 v_position;
 in vec3 v_normal;
+in vec2 v_texcoord;
+in vec3 v_instanceColor; // modulates Ka and Kd (see phong.vert)
+
+// Lights in camera coordinates: std140 uniform buffer shared by all the
+// programs (see uploadLights in app.js). The block must be the same in
+// every shader that declares it.
+layout(std140) uniform Lights {
+    mediump int   u_n_lights;
+    mediump vec3  u_light_ambient[MAX_LIGHTS];
+    mediump vec3  u_light_diffuse[MAX_LIGHTS];
+    mediump vec3  u_light_specular[MAX_LIGHTS];
+    mediump vec4  u_light_position[MAX_LIGHTS];
+    mediump vec3  u_light_axis[MAX_LIGHTS];
+    mediump float u_light_aperture[MAX_LIGHTS];
+    mediump float u_light_inner_aperture[MAX_LIGHTS];
+    mediump float u_light_cutoff[MAX_LIGHTS];
+    mediump int   u_light_type[MAX_LIGHTS];
+    mediump int   u_light_enabled[MAX_LIGHTS];
+    mediump vec3  u_light_attenuation[MAX_LIGHTS];  // constant, linear, quadratic
 
-uniform int u_n_lights;
+    // Shadow mapping (see renderShadowMaps in app.js)
+    mediump int   u_light_shadow[MAX_LIGHTS];       // 1 if the light casts shadows
+    highp   float u_light_shadowBias[MAX_LIGHTS];   // depth bias
+    highp   float u_light_shadowFar[MAX_LIGHTS];    // far plane of point/spot lights
+    highp   mat4  u_light_shadowMatrix[MAX_LIGHTS]; // eye -> shadow map (point: -> light centered)
+};
 
-// Light arrays
-uniform mediump vec3  u_light_ambient[MAX_LIGHTS];
-uniform mediump vec3  u_light_diffuse[MAX_LIGHTS];
-uniform mediump vec3  u_light_specular[MAX_LIGHTS];
-uniform mediump vec4  u_light_position[MAX_LIGHTS];
-uniform mediump vec3  u_light_axis[MAX_LIGHTS];
-uniform mediump float u_light_aperture[MAX_LIGHTS];
-uniform mediump float u_light_cutoff[MAX_LIGHTS];
-uniform mediump int   u_light_type[MAX_LIGHTS];
-uniform mediump int   u_light_enabled[MAX_LIGHTS];
+// Layers [6*i, 6*i+5] belong to light i: directional and spot lights only use
+// the first one, point lights use all six as the faces of a cube map.
+uniform highp sampler2DArrayShadow u_shadowMaps;
 
 struct MaterialInfo {
     mediump vec3 Ka;
     mediump vec3 Kd;
     mediump vec3 Ks;
     mediump float shininess;
+    mediump float metallic;  // PBR only, Kd is the base color
+    mediump float roughness; // PBR only
 };
 
 uniform MaterialInfo u_material;
 
+// Optional material textures (modulate Ka/Kd and Ks respectively)
+uniform sampler2D u_diffuseMap;
+uniform sampler2D u_specularMap;
+uniform int u_useDiffuseMap;
+uniform int u_useSpecularMap;
+
 out vec4 fragColor;
 
-// Phong lighting per fragment
+// 3x3 PCF lookup around uv in the given layer
+float shadowPCF(vec2 uv, float layer, float ref) {
+    vec2 texel = 1.0 / vec2(textureSize(u_shadowMaps, 0).xy);
+    float lit = 0.0;
+
+    for (int x = -1; x <= 1; x++) {
+        for (int y = -1; y <= 1; y++) {
+            vec2 offset = vec2(float(x), float(y)) * texel;
+            lit += texture(u_shadowMaps, vec4(uv + offset, layer, ref));
+        }
+    }
+
+    return lit / 9.0;
+}
+
+// Fraction of light i that reaches position (1 = fully lit)
+float shadowFactor(int i, vec3 position) {
+    if (u_light_shadow[i] == 0) return 1.0;
+
+    float bias = u_light_shadowBias[i];
+    float base = float(6 * i);
+
+    if (u_light_type[i] == 0) {
+        // Point light: pick the cube face from the major axis of the
+        // light->point vector. The shadow matrix takes the point to the
+        // coordinates of the cube map: centered on the light, with the faces
+        // aligned with the eye axes of the main camera.
+        vec3 v = (u_light_shadowMatrix[i] * vec4(position, 1.0)).xyz;
+        vec3 a = abs(v);
+        float face, sc, tc, ma;
+
+        if (a.x >= a.y && a.x >= a.z) {
+            face = v.x > 0.0 ? 0.0 : 1.0;
+            sc = v.x > 0.0 ? -v.z : v.z;
+            tc = -v.y;
+            ma = a.x;
+        } else if (a.y >= a.z) {
+            face = v.y > 0.0 ? 2.0 : 3.0;
+            sc = v.x;
+            tc = v.y > 0.0 ? v.z : -v.z;
+            ma = a.y;
+        } else {
+            face = v.z > 0.0 ? 4.0 : 5.0;
+            sc = v.z > 0.0 ? v.x : -v.x;
+            tc = -v.y;
+            ma = a.z;
+        }
+
+        vec2 uv = vec2(sc, tc) / ma * 0.5 + 0.5;
+        float ref = length(v) / u_light_shadowFar[i];
+
+        // Beyond the far plane the stored depth is clamped to 1: treat as lit
+        if (ref >= 1.0) return 1.0;
+
+        return shadowPCF(uv, base + face, ref - bias);
+    }
+
+    vec4 coords = u_light_shadowMatrix[i] * vec4(position, 1.0);
+    coords.xyz /= coords.w;
+
+    // Outside the light frustum: no information, treat as lit
+    if (coords.w <= 0.0 || any(lessThan(coords.xyz, vec3(0.0))) || any(greaterThan(coords.xyz, vec3(1.0))))
+        return 1.0;
+
+    // Spotlights store distances like point lights, directional lights
+    // store the (already linear) orthographic depth.
+    float ref = coords.z;
+    if (u_light_type[i] == 2) {
+        ref = length(position - u_light_position[i].xyz) / u_light_shadowFar[i];
+        if (ref >= 1.0) return 1.0;     // beyond the far plane, as above
+    }
+
+    return shadowPCF(coords.xy, base, ref - bias);
+}
+
+#if defined(PBR)
+const float PI = 3.14159265;
+
+// GGX / Trowbridge-Reitz normal distribution
+float distributionGGX(float NdotH, float roughness) {
+    float a2 = roughness * roughness * roughness * roughness;
+    float d = NdotH * NdotH * (a2 - 1.0) + 1.0;
+    return a2 / (PI * d * d);
+}
+
+// Smith masking-shadowing with the Schlick-GGX approximation (direct lights)
+float geometrySmith(float NdotV, float NdotL, float roughness) {
+    float k = (roughness + 1.0) * (roughness + 1.0) / 8.0;
+    float gv = NdotV / (NdotV * (1.0 - k) + k);
+    float gl = NdotL / (NdotL * (1.0 - k) + k);
+    return gv * gl;
+}
+
+vec3 fresnelSchlick(float cosTheta, vec3 F0) {
+    return F0 + (1.0 - F0) * pow(1.0 - cosTheta, 5.0);
+}
+#endif
+
+// Diffuse and specular reflection of one light (see the defines above)
+void reflection(vec3 L, vec3 V, vec3 normal, MaterialInfo material, int i,
+                out vec3 diffuse, out vec3 specular) {
+    vec3 lightDiffuse  = u_light_diffuse[i] / 255.0;
+    vec3 lightSpecular = u_light_specular[i] / 255.0;
+
+    float NdotL = max(0.0, dot(normal, L));
+    diffuse = vec3(0.0);
+    specular = vec3(0.0);
+    if (NdotL <= 0.0) return;
+
+#if defined(PBR)
+    // Light colors are the irradiance at normal incidence, so the PI of
+    // the Lambertian BRDF cancels out (same brightness as Phong).
+    vec3 albedo = material.Kd / 255.0;
+    float metallic = clamp(material.metallic, 0.0, 1.0);
+    float roughness = clamp(material.roughness, 0.04, 1.0);
+
+    vec3 H = normalize(L + V);
+    float NdotV = max(dot(normal, V), 1e-4);
+    float NdotH = max(dot(normal, H), 0.0);
+
+    vec3 F0 = mix(vec3(0.04), albedo, metallic);
+    vec3 F = fresnelSchlick(max(dot(H, V), 0.0), F0);
+    float D = distributionGGX(NdotH, roughness);
+    float G = geometrySmith(NdotV, NdotL, roughness);
+
+    vec3 kD = (1.0 - F) * (1.0 - metallic);
+    diffuse = kD * albedo * lightDiffuse * NdotL;
+    specular = (D * G * F) / (4.0 * NdotV * NdotL + 1e-4) * lightSpecular * NdotL * PI;
+#else
+    diffuse = (material.Kd / 255.0) * lightDiffuse * NdotL;
+
+#if defined(BLINN_PHONG)
+    vec3 H = normalize(L + V);
+    float spec = pow(max(0.0, dot(normal, H)), material.shininess);
+#else
+    vec3 R = reflect(-L, normal);
+    float spec = pow(max(0.0, dot(R, V)), material.shininess);
+#endif
+
+    specular = (material.Ks / 255.0) * lightSpecular * spec;
+#endif
+}
+
+// Distance attenuation 1 / (constant + linear * d + quadratic * d^2),
+// directional lights are not attenuated
+float distanceAttenuation(int i, vec3 position) {
+    if (u_light_type[i] == 1) return 1.0;
+
+    vec3 k = u_light_attenuation[i];
+    float d = length(u_light_position[i].xyz - position);
+    return 1.0 / max(k.x + k.y * d + k.z * d * d, 1e-4);
+}
+
+// Lighting per fragment
 vec3 phongLighting(vec3 position, vec3 normal, MaterialInfo material) {
     vec3 color = vec3(0.0);
 
@@ -44,8 +228,6 @@ vec3 phongLighting(vec3 position, vec3 normal, MaterialInfo material) {
         vec4 lightPos4    = u_light_position[i];
         vec3 lightPos     = lightPos4.xyz;
         vec3 lightAmbient = u_light_ambient[i];
-        vec3 lightDiffuse = u_light_diffuse[i];
-        vec3 lightSpecular= u_light_specular[i];
 
         // Direction from point to light (or from dir)
         vec3 L;
@@ -63,34 +245,29 @@ vec3 phongLighting(vec3 position, vec3 normal, MaterialInfo material) {
             // Angle between L and -axis
             vec3 lightDir  = normalize(-u_light_axis[i]);
             float cosAlpha = dot(L, lightDir);
-            float cosAperture = cos(radians(u_light_aperture[i] / 2.0));
+            float cosOuter = cos(radians(u_light_aperture[i] / 2.0));
+            float cosInner = cos(radians(min(u_light_inner_aperture[i], u_light_aperture[i]) / 2.0));
 
-            if (cosAlpha >= cosAperture) {
-                spotAttenuation = pow(max(0.0, cosAlpha), u_light_cutoff[i]);
-            } else {
-                spotAttenuation = 0.0;
-            }
+            // Full intensity inside the inner cone, fading out towards the outer cone
+            float cone = cosInner > cosOuter ? smoothstep(cosOuter, cosInner, cosAlpha)
+                                             : step(cosOuter, cosAlpha);
+            spotAttenuation = cone * pow(max(0.0, cosAlpha), u_light_cutoff[i]);
         }
 
         if (spotAttenuation > 0.0) {
+            float attenuation = spotAttenuation * distanceAttenuation(i, position);
+
             // Ambient
             vec3 ambient = (material.Ka / 255.0) * (lightAmbient / 255.0);
 
-            // Diffuse
-            float NdotL = max(0.0, dot(normal, L));
-            vec3 diffuse = (material.Kd / 255.0) * (lightDiffuse / 255.0) * NdotL;
-
-            // Specular
-            vec3 specular = vec3(0.0);
-            if (NdotL > 0.0) {
-                vec3 V = normalize(-position); // camera at origin
-                vec3 R = reflect(-L, normal);
-                float RdotV = max(0.0, dot(R, V));
-                specular = (material.Ks / 255.0) * (lightSpecular / 255.0)
-                           * pow(RdotV, material.shininess);
-            }
-
-            color += (ambient + diffuse + specular) * spotAttenuation;
+            // Diffuse and specular
+            vec3 V = normalize(-position); // camera at origin
+            vec3 diffuse, specular;
+            reflection(L, V, normal, material, i, diffuse, specular);
+
+            float shadow = shadowFactor(i, position);
+
+            color += (ambient + (diffuse + specular) * shadow) * attenuation;
         }
     }
 
@@ -98,6 +275,19 @@ vec3 phongLighting(vec3 position, vec3 normal, MaterialInfo material) {
 }
 
 void main() {
-    vec3 color = phongLighting(v_position, normalize(v_normal), u_material);
+    MaterialInfo material = u_material;
+    material.Ka *= v_instanceColor;
+    material.Kd *= v_instanceColor;
+
+    if (u_useDiffuseMap == 1) {
+        vec3 texel = texture(u_diffuseMap, v_texcoord).rgb;
+        material.Ka *= texel;
+        material.Kd *= texel;
+    }
+    if (u_useSpecularMap == 1) {
+        material.Ks *= texture(u_specularMap, v_texcoord).rgb;
+    }
+
+    vec3 color = phongLighting(v_position, normalize(v_normal), material);
     fragColor = vec4(clamp(color, 0.0, 1.0), 1.0);
 }
@@ -3,46 +3,57 @@
 precision mediump int;
 precision mediump float;
 
-const int MAX_LIGHTS = 3;
-
-in vec3 a_position;
-in vec3 a_normal;
+// Injected by app.js when the program is built (see MAX_LIGHTS there)
+#ifndef MAX_LIGHTS
+#define MAX_LIGHTS 8
+#endif
+
+// Fixed locations shared by every mesh in libs/objects
+layout(location = 0) in vec3 a_position;
+layout(location = 1) in vec3 a_normal;
+layout(location = 2) in vec2 a_texcoord;
+
+// Copies drawn with createInstancedMesh (libs/objects/mesh.js): model
+// matrix (locations 3 to 6) applied before u_modelViewMatrix, and color.
+// Objects drawn on their own get the identity and white.
+layout(location = 3) in mat4 a_instanceMatrix;
+layout(location = 7) in vec3 a_instanceColor;
 
 uniform mat4 u_modelViewMatrix;
-uniform mat4 u_projectionMatrix;
 uniform mat3 u_normalMatrix;
 
-uniform int u_n_lights;
-
-// Light arrays
-uniform mediump vec3  u_light_ambient[MAX_LIGHTS];
-uniform mediump vec3  u_light_diffuse[MAX_LIGHTS];
-uniform mediump vec3  u_light_specular[MAX_LIGHTS];
-uniform mediump vec4  u_light_position[MAX_LIGHTS];
-uniform mediump vec3  u_light_axis[MAX_LIGHTS];
-uniform mediump float u_light_aperture[MAX_LIGHTS];
-uniform mediump float u_light_cutoff[MAX_LIGHTS];
-uniform mediump int   u_light_type[MAX_LIGHTS];
-uniform mediump int   u_light_enabled[MAX_LIGHTS];
+// Camera of the viewport being drawn: std140 uniform buffer shared by all
+// the programs (see useViewport in app.js)
+layout(std140) uniform Camera {
+    highp mat4 u_projectionMatrix;
+};
 
 struct MaterialInfo {
     mediump vec3 Ka;
     mediump vec3 Kd;
     mediump vec3 Ks;
     mediump float shininess;
+    mediump float metallic;  // PBR only
+    mediump float roughness; // PBR only
 };
 
 uniform MaterialInfo u_material;
 
 out vec3 v_position; // position in eye space
 out vec3 v_normal;   // normal in eye space
+out vec2 v_texcoord; // texture coordinates
+out vec3 v_instanceColor;
 
 void main() {
-    vec4 positionEye = u_modelViewMatrix * vec4(a_position, 1.0);
-    vec3 normalEye   = normalize(u_normalMatrix * a_normal);
+    // Instance matrices have no non-uniform scaling: they transform the
+    // normals as well
+    vec4 positionEye = u_modelViewMatrix * (a_instanceMatrix * vec4(a_position, 1.0));
+    vec3 normalEye   = normalize(u_normalMatrix * (mat3(a_instanceMatrix) * a_normal));
 
     v_position = positionEye.xyz;
     v_normal   = normalEye;
+    v_texcoord = a_texcoord;
+    v_instanceColor = a_instanceColor;
 
     gl_Position = u_projectionMatrix * positionEye;
 }
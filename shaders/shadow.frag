@@ -0,0 +1,19 @@
+#version 300 es
+
+precision highp float;
+
+in vec3 v_position;
+
+uniform int   u_linearDepth; // 1 for point and spot lights
+uniform float u_far;         // light far plane, used with u_linearDepth
+
+void main() {
+    // Point and spot lights store the distance to the light, so that every
+    // face of a cube map is compared against the same value in phong.frag
+    // and the bias does not depend on the perspective depth distribution.
+    if (u_linearDepth == 1) {
+        gl_FragDepth = length(v_position) / u_far;
+    } else {
+        gl_FragDepth = gl_FragCoord.z;
+    }
+}
@@ -0,0 +1,22 @@
+#version 300 es
+
+precision highp float;
+
+// Depth-only pass: objects always upload their positions to location 0
+layout(location = 0) in vec3 a_position;
+
+// Model matrix of the copies drawn with createInstancedMesh (identity otherwise)
+layout(location = 3) in mat4 a_instanceMatrix;
+
+uniform mat4 u_modelViewMatrix;  // model -> light view
+uniform mat4 u_projectionMatrix; // light view -> light clip
+
+out vec3 v_position; // position in light view space
+
+void main() {
+    vec4 positionLight = u_modelViewMatrix * (a_instanceMatrix * vec4(a_position, 1.0));
+
+    v_position = positionLight.xyz;
+
+    gl_Position = u_projectionMatrix * positionLight;
+}